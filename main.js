@@ -1,24 +1,95 @@
-import './style.css'
-import javascriptLogo from './javascript.svg'
-import viteLogo from '/vite.svg'
-import { setupCounter } from './counter.js'
+// HermesTeam presentation site — entry point bundled by Vite.
+// Components are declared in index.html with data-component (see
+// src/core/registry.js); this file defines them and starts the registry.
+import { registry } from './src/core/registry.js';
+import { errorReporter } from './src/errors/reporter.js';
+import { setupPageEffects } from './src/page-effects.js';
+import { setupAnalytics } from './src/analytics/instrumentation.js';
+import { NavigationController } from './src/components/navigation.js';
+import { LanguageSwitcher } from './src/components/language-switcher.js';
+import { MotionToggle } from './src/components/motion-toggle.js';
+import { ThemeSwitcher } from './src/components/theme-switcher.js';
+import { TabController } from './src/components/tabs.js';
+import { KanbanBoard } from './src/components/kanban-board.js';
+import { DocumentDemo } from './src/components/document-demo.js';
+import { CaseStudies } from './src/components/case-studies.js';
+import { FormController } from './src/components/contact-form.js';
+import { BookingWizard } from './src/components/booking-wizard.js';
+import { PricingCalculator } from './src/components/pricing.js';
+import { RoiCalculator } from './src/components/roi-calculator.js';
+import { ChartController } from './src/components/chart.js';
+import { ComparisonTable } from './src/components/comparison-table.js';
+import { TelegramAnimator } from './src/components/telegram-demo.js';
+import { ParticleSystem } from './src/components/particles.js';
+import { ScrollAnimation, COUNTER_SELECTOR } from './src/components/scroll-animations.js';
+import { ScrollProgress } from './src/components/scroll-progress.js';
+import { LazyImage } from './src/components/lazy-image.js';
+import { ConsentBanner } from './src/components/consent-banner.js';
+import { CommandPalette } from './src/components/command-palette.js';
 
-document.querySelector('#app').innerHTML = `
-  <div>
-    <a href="https://vitejs.dev" target="_blank">
-      <img src="${viteLogo}" class="logo" alt="Vite logo" />
-    </a>
-    <a href="https://developer.mozilla.org/en-US/docs/Web/JavaScript" target="_blank">
-      <img src="${javascriptLogo}" class="logo vanilla" alt="JavaScript logo" />
-    </a>
-    <h1>Hello Vite!</h1>
-    <div class="card">
-      <button id="counter" type="button"></button>
-    </div>
-    <p class="read-the-docs">
-      Click on the Vite logo to learn more
-    </p>
-  </div>
-`
+// Before anything mounts, so failures during start-up are reported too
+errorReporter.install();
 
-setupCounter(document.querySelector('#counter'))
+registry
+    .define('navigation', NavigationController)
+    .define('language-switcher', LanguageSwitcher)
+    .define('motion-toggle', MotionToggle)
+    .define('theme-switcher', ThemeSwitcher)
+    .define('tabs', TabController)
+    .define('kanban', KanbanBoard)
+    .define('documents', DocumentDemo)
+    .define('case-studies', CaseStudies)
+    .define('contact-form', FormController)
+    .define('booking-wizard', BookingWizard)
+    .define('pricing', PricingCalculator)
+    .define('roi-calculator', RoiCalculator)
+    .define('chart', ChartController)
+    .define('comparison-table', ComparisonTable)
+    .define('telegram-demo', TelegramAnimator)
+    .define('particles', ParticleSystem)
+    .define('scroll-progress', ScrollProgress)
+    .define('scroll-animation', ScrollAnimation, { selector: `[data-aos], ${COUNTER_SELECTOR}` })
+    .define('lazy-image', LazyImage, { selector: 'img[data-src]' })
+    .define('consent-banner', ConsentBanner)
+    .define('command-palette', CommandPalette);
+
+// Module scripts run after the document has been parsed
+registry.start(document.body);
+setupPageEffects();
+setupAnalytics();
+
+console.log('HermesTeam Presentation Website initialized successfully! 🚀');
+
+// Performance optimization
+window.addEventListener('load', () => {
+    // Mark critical rendering path complete
+    performance.mark('hermes-team-loaded');
+    
+    // Log performance metrics
+    const paintMetrics = performance.getEntriesByType('paint');
+    paintMetrics.forEach(metric => {
+        console.log(`${metric.name}: ${Math.round(metric.startTime)}ms`);
+    });
+    
+    // Preload critical resources
+    const criticalImages = [
+        'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none"><circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="2"/></svg>'
+    ];
+    
+    criticalImages.forEach(src => {
+        const link = document.createElement('link');
+        link.rel = 'preload';
+        link.as = 'image';
+        link.href = src;
+        document.head.appendChild(link);
+    });
+});
+
+// Service Worker for caching (progressive web app features)
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
+}
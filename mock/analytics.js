@@ -0,0 +1,44 @@
+// Mock analytics endpoint for the Vite dev server.
+//
+// Accepts the batches src/analytics/tracker.js sends and prints them, so the
+// instrumentation can be checked from the terminal running `npm run dev`.
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => raw += chunk);
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+export function mockAnalyticsPlugin({ path = '/api/analytics' } = {}) {
+    return {
+        name: 'hermes-mock-analytics',
+        configureServer(server) {
+            server.middlewares.use(path, async (req, res) => {
+                if (req.method !== 'POST') {
+                    res.statusCode = 405;
+                    return res.end();
+                }
+
+                try {
+                    const { session, events = [] } = await readBody(req);
+                    events.forEach(({ type, properties }) => {
+                        console.log(`[mock] analytics ${session}: ${type}`, properties);
+                    });
+                    res.statusCode = 204;
+                } catch {
+                    res.statusCode = 400;
+                }
+                res.end();
+            });
+        }
+    };
+}
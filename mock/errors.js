@@ -0,0 +1,52 @@
+// Mock error report endpoint for the Vite dev server.
+//
+// Prints the batches src/errors/reporter.js sends: one line per report with
+// its fingerprint and repeat count, followed by the top stack frame, then the
+// repeats of reports sent in earlier batches.
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => raw += chunk);
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+export function mockErrorsPlugin({ path = '/api/errors' } = {}) {
+    return {
+        name: 'hermes-mock-errors',
+        configureServer(server) {
+            server.middlewares.use(path, async (req, res) => {
+                if (req.method !== 'POST') {
+                    res.statusCode = 405;
+                    return res.end();
+                }
+
+                try {
+                    const { reports = [], repeats = [], dropped = 0 } = await readBody(req);
+                    reports.forEach(({ name, message, component, handled, count, frames = [] }) => {
+                        const where = frames[0] ? `${frames[0].file}:${frames[0].line}` : 'unknown location';
+                        console.log(`[mock] ${handled ? 'handled' : 'uncaught'} ${name}: ${message} (${component || 'page'}, x${count}) at ${where}`);
+                    });
+                    repeats.forEach(({ fingerprint, count }) => {
+                        console.log(`[mock] ${fingerprint} repeated x${count} since its report`);
+                    });
+                    if (dropped > 0) {
+                        console.log(`[mock] ${dropped} error report(s) dropped by the client rate limit`);
+                    }
+                    res.statusCode = 204;
+                } catch {
+                    res.statusCode = 400;
+                }
+                res.end();
+            });
+        }
+    };
+}
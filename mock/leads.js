@@ -0,0 +1,269 @@
+// Mock lead endpoint for the Vite dev server.
+//
+// The scenario is picked from `?mock=<name>` on either the endpoint URL or the
+// page that sent the request, so http://localhost:5173/?mock=outage exercises
+// the outage path without touching the markup.
+//
+//   success     validate the payload like the real backend would (default)
+//   validation  always reject with field errors
+//   outage      always answer 503
+//   flaky       answer 503 twice, then succeed
+//   slow        hang for 15s so the client timeout fires
+//
+// GET <path>/challenge issues a proof-of-work challenge signed with a key that
+// never leaves this process. Every scenario first checks the `antispam` block
+// the form attaches (see src/leads/anti-spam.js): a forged, unsolved or reused
+// challenge gets a 400, while a lead that carries no proof, or an expired one,
+// is accepted but flagged, and only UNVERIFIED_LIMIT of those per address in
+// UNVERIFIED_WINDOW get through before a 429.
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d{7,15}$/;
+const TEAM_SIZES = ['1-10', '11-50', '51-200', '200+'];
+
+// Field errors are returned in the language the form asked for via Accept-Language
+const MESSAGES = {
+    ru: {
+        name: 'Укажите имя (минимум 2 символа).',
+        email: 'Укажите корректный email.',
+        emailTaken: 'Этот email уже зарегистрирован.',
+        phone: 'Укажите телефон с кодом страны.',
+        company: 'Укажите название компании.',
+        teamSize: 'Выберите размер команды.'
+    },
+    en: {
+        name: 'Please enter your name (at least 2 characters).',
+        email: 'Please enter a valid email.',
+        emailTaken: 'This email is already registered.',
+        phone: 'Please enter a phone number with the country code.',
+        company: 'Please enter your company name.',
+        teamSize: 'Please choose a team size.'
+    }
+};
+
+// Generated per server start, so only this process can issue challenges
+const CHALLENGE_SECRET = randomBytes(32);
+const CHALLENGE_TTL = 10 * 60 * 1000;
+const DIFFICULTY = 14;
+const MIN_SUBMIT_TIME = 3000;
+const UNVERIFIED_LIMIT = 3;
+const UNVERIFIED_WINDOW = 10 * 60 * 1000;
+
+let flakyAttempts = 0;
+
+// Responses already given per Idempotency-Key, so replays of a queued
+// submission are acknowledged without being recorded twice
+const deliveredSubmissions = new Map();
+
+// Proof-of-work challenges already spent, by the submission that spent them
+const usedChallenges = new Map();
+
+// Times of flagged leads per remote address
+const unverifiedLeads = new Map();
+
+function readScenario(req) {
+    const sources = [req.url, req.headers.referer];
+    for (const source of sources) {
+        if (!source) continue;
+        const scenario = new URL(source, 'http://localhost').searchParams.get('mock');
+        if (scenario) return scenario;
+    }
+    return 'success';
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => raw += chunk);
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function readMessages(req) {
+    const language = String(req.headers['accept-language'] || '').slice(0, 2);
+    return MESSAGES[language] || MESSAGES.ru;
+}
+
+function sendJson(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+}
+
+function challengeToken(challenge, difficulty, expiresAt) {
+    return createHmac('sha256', CHALLENGE_SECRET).update(`${challenge}:${difficulty}:${expiresAt}`).digest();
+}
+
+function issueChallenge() {
+    const challenge = randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + CHALLENGE_TTL;
+    const token = challengeToken(challenge, DIFFICULTY, expiresAt).toString('hex');
+    return { challenge, difficulty: DIFFICULTY, expiresAt, token };
+}
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+}
+
+// `rejected` is why the lead is refused outright, `flag` why it merely looks
+// suspicious; both null for a lead with a valid proof of work
+function verifyAntiSpam({ antispam }, submissionId) {
+    if (!antispam) return { rejected: 'missing', flag: null };
+    if (submissionId && antispam.submissionId !== submissionId) return { rejected: 'submission', flag: null };
+    if (antispam.submittedAt - antispam.startedAt < MIN_SUBMIT_TIME) return { rejected: 'too-fast', flag: null };
+
+    // The browser may lack crypto.subtle, or the proof may have timed out
+    const { pow } = antispam;
+    if (!pow) return { rejected: null, flag: 'no-pow' };
+
+    const expected = challengeToken(pow.challenge, pow.difficulty, pow.expiresAt);
+    const actual = Buffer.from(String(pow.token), 'hex');
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return { rejected: 'pow-token', flag: null };
+
+    const hash = createHash('sha256').update(`${pow.challenge}:${pow.nonce}`).digest();
+    if (leadingZeroBits(hash) < pow.difficulty) return { rejected: 'pow', flag: null };
+    if (usedChallenges.has(pow.challenge) && usedChallenges.get(pow.challenge) !== submissionId) return { rejected: 'replayed', flag: null };
+    if (pow.expiresAt < Date.now()) return { rejected: null, flag: 'pow-expired' };
+
+    return { rejected: null, flag: null };
+}
+
+// Counts a flagged lead against its address; false once over the limit
+function allowUnverified(address) {
+    const now = Date.now();
+    const recent = (unverifiedLeads.get(address) || []).filter(time => now - time < UNVERIFIED_WINDOW);
+    if (recent.length >= UNVERIFIED_LIMIT) return false;
+
+    unverifiedLeads.set(address, [...recent, now]);
+    return true;
+}
+
+function validateLead(lead, messages) {
+    const errors = {};
+
+    if (!lead.name || String(lead.name).trim().length < 2) {
+        errors.name = messages.name;
+    }
+    if (!EMAIL_PATTERN.test(String(lead.email || ''))) {
+        errors.email = messages.email;
+    }
+    if (lead.phone && !PHONE_PATTERN.test(String(lead.phone).replace(/[\s().-]/g, ''))) {
+        errors.phone = messages.phone;
+    }
+    if (!lead.company || String(lead.company).trim().length < 2) {
+        errors.company = messages.company;
+    }
+    if (!TEAM_SIZES.includes(lead['team-size'])) {
+        errors['team-size'] = messages.teamSize;
+    }
+
+    return errors;
+}
+
+async function handleLead(req, res) {
+    if (new URL(req.url, 'http://localhost').pathname === '/challenge') {
+        if (req.method !== 'GET') {
+            res.setHeader('Allow', 'GET');
+            return sendJson(res, 405, { message: 'Method not allowed' });
+        }
+        return sendJson(res, 200, issueChallenge());
+    }
+
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return sendJson(res, 405, { message: 'Method not allowed' });
+    }
+
+    let lead;
+    try {
+        lead = await readBody(req);
+    } catch {
+        return sendJson(res, 400, { message: 'Malformed JSON' });
+    }
+
+    const submissionId = req.headers['idempotency-key'];
+    if (submissionId && deliveredSubmissions.has(submissionId)) {
+        return sendJson(res, 200, { ...deliveredSubmissions.get(submissionId), duplicate: true });
+    }
+
+    const spam = verifyAntiSpam(lead, submissionId);
+    if (spam.rejected) {
+        console.log('[mock] lead rejected as spam:', spam.rejected);
+        return sendJson(res, 400, { message: 'Spam check failed', reason: spam.rejected });
+    }
+    if (spam.flag && !allowUnverified(req.socket.remoteAddress)) {
+        console.log('[mock] unverified lead rate-limited:', spam.flag);
+        res.setHeader('Retry-After', String(UNVERIFIED_WINDOW / 1000));
+        return sendJson(res, 429, { message: 'Too many unverified submissions', reason: spam.flag });
+    }
+
+    const scenario = readScenario(req);
+    const messages = readMessages(req);
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    switch (scenario) {
+        case 'validation':
+            return sendJson(res, 422, {
+                message: 'Validation failed',
+                errors: { email: messages.emailTaken }
+            });
+        case 'outage':
+            return sendJson(res, 503, { message: 'Service unavailable' });
+        case 'flaky':
+            flakyAttempts++;
+            if (flakyAttempts % 3 !== 0) {
+                return sendJson(res, 503, { message: 'Service unavailable' });
+            }
+            break;
+        case 'slow':
+            await new Promise(resolve => setTimeout(resolve, 15000));
+            break;
+    }
+
+    const errors = validateLead(lead, messages);
+    if (Object.keys(errors).length > 0) {
+        return sendJson(res, 422, { message: 'Validation failed', errors });
+    }
+
+    const result = { id: `lead_${Date.now().toString(36)}`, status: 'received' };
+    if (submissionId) {
+        deliveredSubmissions.set(submissionId, result);
+    }
+    if (lead.antispam.pow) {
+        usedChallenges.set(lead.antispam.pow.challenge, submissionId);
+    }
+
+    console.log(`[mock] lead received${spam.flag ? ` (flagged: ${spam.flag})` : ''}:`, submissionId || '(no id)', lead);
+    sendJson(res, 201, result);
+}
+
+export function mockLeadsPlugin({ path = '/api/leads' } = {}) {
+    return {
+        name: 'hermes-mock-leads',
+        configureServer(server) {
+            server.middlewares.use(path, (req, res) => {
+                handleLead(req, res).catch(error => {
+                    sendJson(res, 500, { message: error.message });
+                });
+            });
+        }
+    };
+}
@@ -0,0 +1,77 @@
+// HermesTeam service worker
+// Replays demo requests queued in the IndexedDB outbox by LeadOutbox in
+// src/leads/outbox.js. The database layout here must match AppConfig.outbox
+// in src/core/config.js.
+
+const OUTBOX_DATABASE = 'hermes-outbox';
+const OUTBOX_STORE = 'submissions';
+const OUTBOX_SYNC_TAG = 'lead-outbox';
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(flushOutbox());
+    }
+});
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DATABASE, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(mode, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const request = callback(transaction.objectStore(OUTBOX_STORE));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+async function flushOutbox() {
+    const entries = await withStore('readonly', store => store.getAll());
+    entries.sort((a, b) => a.queuedAt - b.queuedAt);
+
+    for (const entry of entries) {
+        const response = await fetch(entry.endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'Idempotency-Key': entry.id
+            },
+            body: JSON.stringify(entry.payload)
+        });
+
+        // Rejecting makes the browser retry the sync later with its own backoff
+        if (response.status >= 500 || response.status === 429) {
+            throw new Error(`Outbox replay failed with ${response.status}`);
+        }
+
+        await withStore('readwrite', store => store.delete(entry.id));
+        await notifyClients({
+            type: response.ok ? 'lead-outbox:sent' : 'lead-outbox:failed',
+            entry,
+            sentAt: Date.now()
+        });
+    }
+}
@@ -0,0 +1,51 @@
+// Analytics Events
+// Every event the page may send and the properties it carries. A trailing
+// `?` marks an optional property. track() refuses anything that does not
+// match, so the endpoint always receives the same shapes. Forms report field
+// names and outcomes, never what the visitor typed.
+export const ANALYTICS_EVENTS = {
+    page_view: { path: 'string', referrer: 'string?', locale: 'string', theme: 'string' },
+    section_view: { section: 'string' },
+    scroll_depth: { percent: 'number' },
+    tab_switch: { group: 'string', tab: 'string', previous: 'string?' },
+    cta_click: { target: 'string', label: 'string', location: 'string?' },
+    form_field: { form: 'string', field: 'string', action: 'string' },
+    form_step: { form: 'string', step: 'string', index: 'number' },
+    form_submit: { form: 'string', result: 'string' },
+    form_abandon: { form: 'string', lastField: 'string?', completed: 'number' }
+};
+
+export class AnalyticsEventError extends Error {
+    constructor(message, type) {
+        super(message);
+        this.name = 'AnalyticsEventError';
+        this.type = type;
+    }
+}
+
+export function validateEvent(type, properties) {
+    const schema = ANALYTICS_EVENTS[type];
+    if (!schema) {
+        throw new AnalyticsEventError(`Unknown analytics event "${type}"`, type);
+    }
+
+    Object.keys(properties).forEach(name => {
+        if (!(name in schema)) {
+            throw new AnalyticsEventError(`"${type}" has no property "${name}"`, type);
+        }
+    });
+
+    Object.entries(schema).forEach(([name, declared]) => {
+        const optional = declared.endsWith('?');
+        const expected = optional ? declared.slice(0, -1) : declared;
+        const value = properties[name];
+
+        if (value === undefined || value === null) {
+            if (optional) return;
+            throw new AnalyticsEventError(`"${type}" requires "${name}"`, type);
+        }
+        if (typeof value !== expected || (expected === 'number' && !Number.isFinite(value))) {
+            throw new AnalyticsEventError(`"${type}.${name}" must be a ${expected}`, type);
+        }
+    });
+}
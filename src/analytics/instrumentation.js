@@ -0,0 +1,155 @@
+import { i18n } from '../core/i18n.js';
+import { themeManager } from '../core/theme.js';
+import { scrollScheduler } from '../core/scroll.js';
+import { analytics } from './tracker.js';
+
+const SCROLL_MILESTONES = [25, 50, 75, 100];
+const CTA_SELECTOR = '[data-scroll-to], [data-track], .btn, .nav-link, .footer a[href^="#"]';
+const FIELD_SELECTOR = 'input:not([type="hidden"]), select, textarea';
+
+// Analytics Instrumentation
+// Reports what visitors do from the outside: delegated listeners plus the
+// events components already fire (`tabchange` from TabController, `stepchange`
+// and `formresult` from forms), so components never call analytics
+// themselves. Nothing is wired up until consent is granted.
+export function setupAnalytics() {
+    let started = false;
+
+    const start = () => {
+        if (started || analytics.consent !== 'granted') return;
+        started = true;
+        instrument();
+    };
+
+    start();
+    analytics.addEventListener('consentchange', start);
+}
+
+function instrument() {
+    analytics.track('page_view', {
+        path: location.pathname,
+        referrer: document.referrer || null,
+        locale: i18n.locale,
+        theme: themeManager.theme
+    });
+
+    observeSections();
+    trackScrollDepth();
+    trackForms();
+
+    document.addEventListener('tabchange', (e) => {
+        const { group, tabId, previousTabId } = e.detail;
+        if (!group) return;
+        analytics.track('tab_switch', { group, tab: tabId, previous: previousTabId ?? null });
+    });
+
+    document.addEventListener('click', (e) => {
+        const element = e.target.closest(CTA_SELECTOR);
+        if (!element || element.closest('.consent-banner')) return;
+
+        const href = element.getAttribute('href');
+        analytics.track('cta_click', {
+            target: element.dataset.scrollTo
+                || element.dataset.track
+                || (href?.startsWith('#') ? href.slice(1) : null)
+                || element.closest('form[id]')?.id
+                || 'page',
+            label: labelOf(element),
+            location: element.closest('section[id]')?.id || element.closest('nav, footer')?.localName || null
+        });
+    });
+}
+
+// Translation keys are stable across locales, so prefer them to visible text
+function labelOf(element) {
+    const keyed = element.matches('[data-i18n]') ? element : element.querySelector('[data-i18n]');
+    return keyed?.dataset.i18n || element.textContent.trim().replace(/\s+/g, ' ').slice(0, 80);
+}
+
+// A section counts as viewed once it reaches the upper half of the viewport
+function observeSections() {
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            analytics.track('section_view', { section: entry.target.id });
+        });
+    }, { rootMargin: '0px 0px -50% 0px' });
+
+    document.querySelectorAll('section[id]').forEach(section => observer.observe(section));
+}
+
+function trackScrollDepth() {
+    const pending = [...SCROLL_MILESTONES];
+
+    const unsubscribe = scrollScheduler.subscribe(({ scrollY, viewportHeight, documentHeight }) => {
+        const percent = Math.min(100, Math.round((scrollY + viewportHeight) / documentHeight * 100));
+
+        while (pending.length > 0 && percent >= pending[0]) {
+            analytics.track('scroll_depth', { percent: pending.shift() });
+        }
+        if (pending.length === 0) unsubscribe();
+    });
+}
+
+// Per form: which fields were focused and filled, and whether it got through.
+// Leaving the page with a started but unsent form reports where it stopped.
+function trackForms() {
+    const forms = new Map();
+
+    const stateOf = (form) => {
+        if (!forms.has(form)) {
+            forms.set(form, { focused: new Set(), completed: new Set(), lastField: null, sent: false });
+        }
+        return forms.get(form);
+    };
+
+    const fieldEvent = (e, action) => {
+        const field = e.target.closest?.(FIELD_SELECTOR);
+        const form = field?.form;
+        const name = field?.name || field?.id;
+        if (!form?.id || !name) return;
+
+        const state = stateOf(form);
+        const seen = action === 'focus' ? state.focused : state.completed;
+
+        state.lastField = name;
+        if (action === 'complete' && !field.value.trim()) return;
+        if (seen.has(name)) return;
+
+        seen.add(name);
+        analytics.track('form_field', { form: form.id, field: name, action });
+    };
+
+    document.addEventListener('focusin', (e) => fieldEvent(e, 'focus'));
+    document.addEventListener('change', (e) => fieldEvent(e, 'complete'));
+
+    document.addEventListener('stepchange', (e) => {
+        const form = e.target.closest('form[id]');
+        if (!form) return;
+        analytics.track('form_step', { form: form.id, step: e.detail.step, index: e.detail.index });
+    });
+
+    document.addEventListener('formresult', (e) => {
+        const form = e.target.closest('form[id]');
+        if (!form) return;
+
+        const { result } = e.detail;
+        if (result === 'success' || result === 'queued') {
+            stateOf(form).sent = true;
+        }
+        analytics.track('form_submit', { form: form.id, result });
+    });
+
+    window.addEventListener('pagehide', () => {
+        forms.forEach((state, form) => {
+            if (state.sent || state.focused.size === 0) return;
+            analytics.track('form_abandon', {
+                form: form.id,
+                lastField: state.lastField,
+                completed: state.completed.size
+            });
+        });
+        analytics.flush();
+    });
+}
@@ -0,0 +1,118 @@
+import { AppConfig } from '../core/config.js';
+import { validateEvent } from './events.js';
+
+export const CONSENT_STATES = ['granted', 'denied'];
+
+// Analytics
+// Nothing is recorded until the visitor opts in through the consent banner:
+// before that, and after a refusal, track() validates the event and drops it.
+// Accepted events are queued and sent in batches with navigator.sendBeacon
+// (fetch with keepalive where beacons are unavailable or refused), when the
+// batch is full, on a timer, and when the page is hidden.
+export class Analytics extends EventTarget {
+    constructor(options = AppConfig.analytics) {
+        super();
+        this.options = options;
+        this.consent = this.readConsent();
+        this.queue = [];
+        this.flushTimer = null;
+        this.sessionId = this.readSessionId();
+
+        // pagehide is the last event mobile browsers reliably deliver
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+    }
+
+    get enabled() {
+        return this.consent === 'granted' && Boolean(this.options.endpoint);
+    }
+
+    readConsent() {
+        try {
+            const saved = localStorage.getItem(this.options.consentKey);
+            return CONSENT_STATES.includes(saved) ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    readSessionId() {
+        try {
+            let id = sessionStorage.getItem(this.options.sessionKey);
+            if (!id) {
+                id = crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+                sessionStorage.setItem(this.options.sessionKey, id);
+            }
+            return id;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setConsent(consent) {
+        if (!CONSENT_STATES.includes(consent)) return;
+        this.consent = consent;
+
+        try {
+            localStorage.setItem(this.options.consentKey, consent);
+        } catch (error) {
+            // Storage can be unavailable in private mode; the banner will just ask again
+        }
+
+        if (consent === 'denied') {
+            this.queue = [];
+            clearTimeout(this.flushTimer);
+        }
+
+        this.dispatchEvent(new CustomEvent('consentchange', { detail: { consent } }));
+    }
+
+    // Returns whether the event was recorded
+    track(type, properties = {}) {
+        validateEvent(type, properties);
+        if (!this.enabled) return false;
+
+        this.queue.push({
+            type,
+            properties,
+            timestamp: Date.now(),
+            path: location.pathname
+        });
+
+        if (this.queue.length >= this.options.batchSize) {
+            this.flush();
+        } else if (this.flushTimer === null) {
+            this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+        }
+
+        return true;
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.queue.length === 0 || !this.enabled) return;
+
+        const body = JSON.stringify({
+            session: this.sessionId,
+            sentAt: Date.now(),
+            events: this.queue.splice(0)
+        });
+
+        const sent = navigator.sendBeacon?.(this.options.endpoint, new Blob([body], { type: 'application/json' }));
+        if (!sent) {
+            fetch(this.options.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {
+                // Analytics is best effort; a lost batch is not worth retrying
+            });
+        }
+    }
+}
+
+export const analytics = new Analytics();
@@ -0,0 +1,133 @@
+// Demo Availability
+// Turns the availability config (public/data/availability.json) into bookable
+// slots. Working hours, breaks, holidays and booked slots are written as wall
+// times in the team's `timeZone`; slots come back as absolute Dates so they
+// can be shown in whatever zone the visitor is in.
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const zoneFormats = new Map();
+
+function zoneFormat(timeZone) {
+    if (!zoneFormats.has(timeZone)) {
+        zoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short'
+        }));
+    }
+    return zoneFormats.get(timeZone);
+}
+
+// Wall-clock parts of an instant in a time zone
+export function partsInZone(date, timeZone) {
+    const parts = Object.fromEntries(zoneFormat(timeZone).formatToParts(date).map(({ type, value }) => [type, value]));
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: parts.weekday.toLowerCase().slice(0, 3),
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+// The instant at which the wall clock in `timeZone` shows date + time.
+// The zone offset is measured at a first guess and corrected once, which
+// also settles times next to a DST switch.
+export function zonedTime(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+
+    const offsetAt = (instant) => {
+        const parts = partsInZone(new Date(instant), timeZone);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - instant;
+    };
+
+    let instant = wall - offsetAt(wall);
+    instant = wall - offsetAt(instant);
+    return new Date(instant);
+}
+
+function toMinutes(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+}
+
+function toTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+export function buildSlots(config, now = new Date()) {
+    const {
+        timeZone,
+        slotMinutes = 30,
+        durationMinutes = slotMinutes,
+        leadHours = 0,
+        horizonDays = 14,
+        workingHours = {},
+        breaks = [],
+        holidays = [],
+        booked = []
+    } = config;
+
+    const earliest = now.getTime() + leadHours * 3600000;
+    const holidaySet = new Set(holidays);
+    const bookedSet = new Set(booked);
+    const pauses = breaks.map(([from, to]) => [toMinutes(from), toMinutes(to)]);
+    const today = partsInZone(now, timeZone).date;
+    const slots = [];
+
+    for (let offset = 0; offset < horizonDays; offset++) {
+        const date = addDays(today, offset);
+        const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+        const hours = workingHours[weekday];
+        if (!hours || holidaySet.has(date)) continue;
+
+        const [open, close] = hours.map(toMinutes);
+        for (let minutes = open; minutes + durationMinutes <= close; minutes += slotMinutes) {
+            const end = minutes + durationMinutes;
+            if (pauses.some(([from, to]) => minutes < to && end > from)) continue;
+
+            const time = toTime(minutes);
+            if (bookedSet.has(`${date}T${time}`)) continue;
+
+            const start = zonedTime(date, time, timeZone);
+            if (start.getTime() < earliest) continue;
+
+            slots.push({
+                id: start.toISOString(),
+                start,
+                end: new Date(start.getTime() + durationMinutes * 60000)
+            });
+        }
+    }
+
+    return slots;
+}
+
+// Slots grouped by calendar day in the visitor's zone, in order
+export function groupSlotsByDay(slots, timeZone) {
+    const days = new Map();
+
+    slots.forEach(slot => {
+        const { date } = partsInZone(slot.start, timeZone);
+        if (!days.has(date)) days.set(date, []);
+        days.get(date).push(slot);
+    });
+
+    return [...days].map(([date, daySlots]) => ({ date, slots: daySlots }));
+}
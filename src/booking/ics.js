@@ -0,0 +1,71 @@
+import { downloadBlob } from '../core/utils.js';
+
+// Calendar Invite
+// Builds a single-event iCalendar (RFC 5545) file. Times are written in UTC,
+// so calendar apps place the event in the reader's own zone.
+const CRLF = '\r\n';
+
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value = '') {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (encoder.encode(current + char).length > limit) {
+            chunks.push(current);
+            current = char;
+        } else {
+            current += char;
+        }
+    }
+    chunks.push(current);
+
+    return chunks.join(`${CRLF} `);
+}
+
+export function createIcs({ uid, start, end, summary, description, location, url, alarmMinutes = 15 }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//HermesTeam//Demo booking//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatUtc(new Date())}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        description && `DESCRIPTION:${escapeText(description)}`,
+        location && `LOCATION:${escapeText(location)}`,
+        url && `URL:${url}`,
+        'STATUS:CONFIRMED',
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(summary)}`,
+        `TRIGGER:-PT${alarmMinutes}M`,
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+export function downloadIcs(content, filename = 'invite.ics') {
+    downloadBlob(new Blob([content], { type: 'text/calendar;charset=utf-8' }), filename);
+}
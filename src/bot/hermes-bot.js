@@ -0,0 +1,255 @@
+import { i18n } from '../core/i18n.js';
+import { DemoProjectStore } from './project-store.js';
+
+// Telegram Bot Simulator
+// Commands are parsed into a name plus arguments; quoted arguments ("…", «…»,
+// “…”) may contain spaces. Problems surface as BotCommandError carrying a
+// dictionary key so replies follow the active locale.
+export class BotCommandError extends Error {
+    constructor(key, params = {}) {
+        super(key);
+        this.name = 'BotCommandError';
+        this.key = key;
+        this.params = params;
+    }
+}
+
+const BOT_QUOTES = { '"': '"', '«': '»', '“': '”' };
+
+export class BotCommandParser {
+    static tokenize(input) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < input.length) {
+            const char = input[index];
+
+            if (/\s/.test(char)) {
+                index++;
+            } else if (char in BOT_QUOTES) {
+                const end = input.indexOf(BOT_QUOTES[char], index + 1);
+                if (end === -1) {
+                    throw new BotCommandError('telegram.errors.unclosedQuote');
+                }
+                tokens.push({ value: input.slice(index + 1, end), quoted: true });
+                index = end + 1;
+            } else {
+                const match = /^\S+/.exec(input.slice(index));
+                tokens.push({ value: match[0], quoted: false });
+                index += match[0].length;
+            }
+        }
+
+        return tokens;
+    }
+
+    static parse(input) {
+        const text = input.trim();
+        if (!text.startsWith('/')) {
+            throw new BotCommandError('telegram.errors.notACommand');
+        }
+
+        const [head, ...args] = BotCommandParser.tokenize(text);
+        // "/status@HermesBot" is how Telegram addresses a bot in group chats
+        const name = head.value.slice(1).split('@')[0].toLowerCase();
+
+        return { name, args };
+    }
+}
+
+function levenshtein(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+
+    return row[b.length];
+}
+
+export class HermesBot {
+    constructor(store = new DemoProjectStore()) {
+        this.store = store;
+        this.commands = {
+            help: () => this.help(),
+            start: () => this.help(),
+            status: (args) => this.status(args),
+            create: (args) => this.create(args),
+            assign: (args) => this.assign(args),
+            deadline: (args) => this.deadline(args)
+        };
+    }
+
+    reply(input) {
+        try {
+            const { name, args } = BotCommandParser.parse(input);
+            const command = this.commands[name];
+
+            if (!command) {
+                const [suggestion] = Object.keys(this.commands)
+                    .filter(candidate => levenshtein(candidate, name) <= 2)
+                    .sort((a, b) => levenshtein(a, name) - levenshtein(b, name));
+                if (suggestion) {
+                    throw new BotCommandError('telegram.errors.unknownCommandSuggestion', {
+                        command: `/${name}`,
+                        suggestion: `/${suggestion}`
+                    });
+                }
+                throw new BotCommandError('telegram.errors.unknownCommand', { command: `/${name}` });
+            }
+
+            return command(args.map(arg => arg.value));
+        } catch (error) {
+            if (error instanceof BotCommandError) {
+                return `⚠️ ${i18n.t(error.key, error.params)}`;
+            }
+            throw error;
+        }
+    }
+
+    projectLabel(project) {
+        return `${i18n.t('telegram.projectPrefix')}${project.id}`;
+    }
+
+    projectList() {
+        return this.store.projects.map(project => this.projectLabel(project)).join(', ');
+    }
+
+    taskTitle(task) {
+        return task.titleKey ? i18n.t(task.titleKey) : task.title;
+    }
+
+    formatDate(date) {
+        return date.toLocaleDateString(i18n.locale, { day: '2-digit', month: '2-digit', year: 'numeric' });
+    }
+
+    requireProject(reference, usageKey) {
+        if (!reference) {
+            throw new BotCommandError(usageKey, { projects: this.projectList() });
+        }
+        const project = this.store.findProject(reference);
+        if (!project) {
+            throw new BotCommandError('telegram.errors.unknownProject', { project: reference, projects: this.projectList() });
+        }
+        return project;
+    }
+
+    requireTask(reference, usageKey) {
+        if (!reference) {
+            throw new BotCommandError(usageKey);
+        }
+        const found = this.store.findTask(reference);
+        if (!found) {
+            throw new BotCommandError('telegram.errors.unknownTask', { task: reference });
+        }
+        return found;
+    }
+
+    help() {
+        return i18n.t('telegram.replies.help');
+    }
+
+    status([reference]) {
+        const project = this.requireProject(reference, 'telegram.errors.statusUsage');
+        const lines = project.tasks.map(task => i18n.t('telegram.replies.statusTask', {
+            id: task.id,
+            title: this.taskTitle(task),
+            assignee: task.assignee || i18n.t('telegram.replies.unassigned'),
+            deadline: task.deadline ? this.formatDate(task.deadline) : '—'
+        }));
+
+        return [
+            i18n.t('telegram.replies.status', {
+                project: this.projectLabel(project),
+                name: i18n.t(project.nameKey),
+                progress: this.store.progress(project),
+                active: project.tasks.length
+            }),
+            ...lines
+        ].join('\n');
+    }
+
+    create([kind, title, reference]) {
+        if (!kind || !['задача', 'task'].includes(kind.toLowerCase()) || !title) {
+            throw new BotCommandError('telegram.errors.createUsage');
+        }
+        if (title.trim().length < 3 || title.length > 80) {
+            throw new BotCommandError('telegram.errors.titleLength', { min: 3, max: 80 });
+        }
+
+        const project = reference
+            ? this.requireProject(reference, 'telegram.errors.createUsage')
+            : this.store.projects[0];
+        const task = this.store.createTask(project, title.trim());
+
+        return i18n.t('telegram.replies.created', {
+            id: task.id,
+            title: task.title,
+            project: this.projectLabel(project)
+        });
+    }
+
+    assign([taskReference, member]) {
+        const { task } = this.requireTask(taskReference, 'telegram.errors.assignUsage');
+        if (!member) {
+            throw new BotCommandError('telegram.errors.assignUsage');
+        }
+
+        const handle = member.startsWith('@') ? member.toLowerCase() : `@${member.toLowerCase()}`;
+        if (!this.store.members.includes(handle)) {
+            throw new BotCommandError('telegram.errors.unknownMember', {
+                member: handle,
+                members: this.store.members.join(', ')
+            });
+        }
+
+        task.assignee = handle;
+        return i18n.t('telegram.replies.assigned', { id: task.id, title: this.taskTitle(task), member: handle });
+    }
+
+    deadline([taskReference, value]) {
+        const { task } = this.requireTask(taskReference, 'telegram.errors.deadlineUsage');
+        if (!value) {
+            throw new BotCommandError('telegram.errors.deadlineUsage');
+        }
+
+        const date = this.parseDate(value);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        if (date < today) {
+            throw new BotCommandError('telegram.errors.pastDate');
+        }
+
+        task.deadline = date;
+        return i18n.t('telegram.replies.deadline', { id: task.id, title: this.taskTitle(task), date: this.formatDate(date) });
+    }
+
+    // Accepts DD.MM, DD.MM.YYYY and YYYY-MM-DD
+    parseDate(value) {
+        let day;
+        let month;
+        let year = new Date().getFullYear();
+        let match;
+
+        if ((match = /^(\d{1,2})\.(\d{1,2})(?:\.(\d{4}))?$/.exec(value))) {
+            [, day, month] = match.map(Number);
+            year = match[3] ? Number(match[3]) : year;
+        } else if ((match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value))) {
+            [, year, month, day] = match.map(Number);
+        } else {
+            throw new BotCommandError('telegram.errors.invalidDate', { date: value });
+        }
+
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+            throw new BotCommandError('telegram.errors.invalidDate', { date: value });
+        }
+        return date;
+    }
+}
@@ -0,0 +1,94 @@
+// Demo Project Store
+// In-memory data behind the Telegram bot simulator. Resets on every page load.
+const DEMO_MEMBERS = ['@anna', '@ivan', '@maria', '@oleg'];
+
+const DEMO_PROJECTS = [
+    {
+        id: 'A',
+        nameKey: 'telegram.projects.A',
+        completed: 9,
+        tasks: [
+            { titleKey: 'telegram.tasks.mockups', assignee: '@anna', deadline: 3 },
+            { titleKey: 'telegram.tasks.copy', assignee: '@maria', deadline: 5 },
+            { titleKey: 'telegram.tasks.release', assignee: null, deadline: 10 }
+        ]
+    },
+    {
+        id: 'B',
+        nameKey: 'telegram.projects.B',
+        completed: 4,
+        tasks: [
+            { titleKey: 'telegram.tasks.auth', assignee: '@ivan', deadline: 2 },
+            { titleKey: 'telegram.tasks.push', assignee: '@oleg', deadline: 6 },
+            { titleKey: 'telegram.tasks.payments', assignee: '@ivan', deadline: 12 },
+            { titleKey: 'telegram.tasks.beta', assignee: null, deadline: null }
+        ]
+    },
+    {
+        id: 'C',
+        nameKey: 'telegram.projects.C',
+        completed: 2,
+        tasks: [
+            { titleKey: 'telegram.tasks.brief', assignee: '@maria', deadline: 1 },
+            { titleKey: 'telegram.tasks.banners', assignee: null, deadline: 4 },
+            { titleKey: 'telegram.tasks.report', assignee: '@anna', deadline: null }
+        ]
+    }
+];
+
+// Cyrillic letters that look like the Latin project ids
+const PROJECT_ID_LOOKALIKES = { 'А': 'A', 'В': 'B', 'С': 'C' };
+
+export class DemoProjectStore {
+    constructor() {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        this.nextTaskId = 1;
+        this.projects = DEMO_PROJECTS.map(project => ({
+            id: project.id,
+            nameKey: project.nameKey,
+            completed: project.completed,
+            tasks: project.tasks.map(task => ({
+                id: this.nextTaskId++,
+                titleKey: task.titleKey,
+                assignee: task.assignee,
+                deadline: task.deadline === null ? null : new Date(today.getTime() + task.deadline * 86400000)
+            }))
+        }));
+    }
+
+    get members() {
+        return DEMO_MEMBERS;
+    }
+
+    // Accepts "проект-А", "project-a", "A" or "а"
+    findProject(reference) {
+        const id = String(reference)
+            .replace(/^(проект|project)-?/i, '')
+            .toUpperCase()
+            .replace(/[АВС]/g, letter => PROJECT_ID_LOOKALIKES[letter]);
+
+        return this.projects.find(project => project.id === id) || null;
+    }
+
+    findTask(reference) {
+        const id = Number(String(reference).replace(/^#/, ''));
+        for (const project of this.projects) {
+            const task = project.tasks.find(item => item.id === id);
+            if (task) return { project, task };
+        }
+        return null;
+    }
+
+    progress(project) {
+        const total = project.completed + project.tasks.length;
+        return total ? Math.round((project.completed / total) * 100) : 0;
+    }
+
+    createTask(project, title) {
+        const task = { id: this.nextTaskId++, title, assignee: null, deadline: null };
+        project.tasks.push(task);
+        return task;
+    }
+}
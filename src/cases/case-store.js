@@ -0,0 +1,61 @@
+import { localized } from '../core/utils.js';
+
+// Case Study Store
+// Customer stories from public/data/case-studies.json. Each case names its
+// industry (a key of `industries`) and its head count; `teamSizes` buckets
+// head counts into filter options by inclusive `min`/`max`. Texts exist per
+// locale, the same way as in the documents data.
+export class CaseStudyStore {
+    constructor(data) {
+        this.industries = data.industries || {};
+        this.teamSizes = data.teamSizes || [];
+        this.cases = data.cases || [];
+    }
+
+    static async load(src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return new CaseStudyStore(await response.json());
+    }
+
+    list() {
+        return this.cases;
+    }
+
+    get(id) {
+        return this.cases.find(study => study.id === id) ?? null;
+    }
+
+    // Industry ids in the order cases first use them
+    usedIndustries() {
+        return [...new Set(this.cases.map(study => study.industry))];
+    }
+
+    teamSizeOf(study) {
+        return this.teamSizes.find(({ min = 0, max = Infinity }) => (
+            study.teamSize >= min && study.teamSize <= max
+        )) ?? null;
+    }
+
+    // Empty filter values match everything
+    filter({ industry = '', teamSize = '' } = {}) {
+        return this.cases.filter(study => (
+            (!industry || study.industry === industry) &&
+            (!teamSize || this.teamSizeOf(study)?.id === teamSize)
+        ));
+    }
+
+    industryName(id, locale) {
+        return this.industries[id] ? localized(this.industries[id], locale) : id;
+    }
+
+    teamSizeName(bucket, locale) {
+        return localized(bucket.label, locale);
+    }
+
+    text(value, locale) {
+        return localized(value, locale);
+    }
+}
@@ -0,0 +1,66 @@
+// Case Visuals
+// The illustration beside each case study, picked by `visual.type` in the
+// data file. Each renderer builds the markup the hand-written cases used, so
+// the existing styles apply: a workflow of icon steps with arrows, a
+// marketing funnel, a construction timeline with completed/active stages, or
+// a vertical flow of icon steps. `text` resolves a per-locale value.
+const RENDERERS = {
+    workflow(steps, text) {
+        const diagram = createElement('div', 'workflow-diagram');
+        steps.forEach((step, index) => {
+            if (index > 0) {
+                const arrow = createElement('div', 'workflow-arrow', '→');
+                arrow.setAttribute('aria-hidden', 'true');
+                diagram.appendChild(arrow);
+            }
+
+            const item = createElement('div', 'workflow-step');
+            item.append(createElement('div', 'step-icon', step.icon), createElement('span', '', text(step.label)));
+            diagram.appendChild(item);
+        });
+        return diagram;
+    },
+
+    funnel(steps, text) {
+        const funnel = createElement('div', 'marketing-funnel');
+        steps.forEach(step => {
+            const stage = createElement('div', 'funnel-stage');
+            stage.appendChild(createElement('span', '', text(step.label)));
+            funnel.appendChild(stage);
+        });
+        return funnel;
+    },
+
+    timeline(steps, text) {
+        const timeline = createElement('div', 'construction-timeline');
+        steps.forEach(step => {
+            const item = createElement('div', ['timeline-item', step.state].filter(Boolean).join(' '));
+            item.append(createElement('div', 'timeline-dot'), createElement('span', '', text(step.label)));
+            timeline.appendChild(item);
+        });
+        return timeline;
+    },
+
+    flow(steps, text) {
+        const flow = createElement('div', 'education-flow');
+        steps.forEach(step => {
+            const item = createElement('div', 'edu-step');
+            item.append(createElement('div', 'edu-icon', step.icon), createElement('span', '', text(step.label)));
+            flow.appendChild(item);
+        });
+        return flow;
+    }
+};
+
+function createElement(tag, className, text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+// null for a missing or unknown type, so the case just goes without
+export function renderCaseVisual(visual, text) {
+    const render = RENDERERS[visual?.type];
+    return render ? render(visual.steps || [], text) : null;
+}
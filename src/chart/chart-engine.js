@@ -0,0 +1,463 @@
+import { debounce } from '../core/utils.js';
+import { i18n } from '../core/i18n.js';
+import { motionGovernor } from '../core/motion.js';
+
+// Chart Engine
+// Renders bar, line and donut charts on a canvas sized to its container and
+// scaled for devicePixelRatio. Series come from a JSON spec or data-chart-*
+// attributes (see ChartController in src/components/chart.js), colours from the custom properties in
+// style.css. Every chart keeps a visually hidden data table for screen readers.
+const CHART_PALETTE = [
+    '--primary-500',
+    '--secondary-500',
+    '--accent-500',
+    '--primary-300',
+    '--secondary-300',
+    '--accent-300',
+    '--primary-700'
+];
+
+export const CHART_TYPES = ['bar', 'line', 'donut'];
+
+let chartIdCounter = 0;
+
+function withAlpha(color, alpha) {
+    const hex = color.trim().replace('#', '');
+    if (!/^[0-9a-f]{6}$/i.test(hex)) {
+        return color;
+    }
+    const [r, g, b] = [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+function easeOutCubic(t) {
+    return 1 - Math.pow(1 - t, 3);
+}
+
+export class ChartEngine {
+    constructor(canvas, spec, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.container = canvas.parentElement;
+        this.spec = spec;
+        this.type = CHART_TYPES.includes(spec.type) ? spec.type : 'bar';
+        this.datasetIndex = 0;
+        this.aspectRatio = options.aspectRatio || (canvas.width / canvas.height) || 1.5;
+        this.duration = options.duration ?? 600;
+        this.format = options.format || null;
+
+        this.id = `chart-${++chartIdCounter}`;
+        this.width = 0;
+        this.height = 0;
+        this.values = this.dataset.values.map(() => 0);
+        this.regions = [];
+        this.hoverIndex = -1;
+        this.focusIndex = -1;
+        this.animationId = null;
+        this.listeners = [];
+
+        this.init();
+    }
+
+    init() {
+        this.colors = this.readColors();
+
+        this.canvas.tabIndex = 0;
+        this.canvas.setAttribute('role', 'img');
+        this.canvas.setAttribute('aria-describedby', `${this.id}-table`);
+        this.canvas.style.width = '100%';
+        this.canvas.style.display = 'block';
+
+        this.container.style.position = 'relative';
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'chart-tooltip';
+        this.tooltip.setAttribute('role', 'status');
+        this.tooltip.setAttribute('aria-live', 'polite');
+        this.container.appendChild(this.tooltip);
+
+        this.table = document.createElement('table');
+        this.table.className = 'sr-only chart-data-table';
+        this.table.id = `${this.id}-table`;
+        this.container.appendChild(this.table);
+
+        this.listen(this.canvas, 'pointermove', (e) => this.handlePointerMove(e));
+        this.listen(this.canvas, 'pointerleave', () => this.setActive(-1, 'hover'));
+        this.listen(this.canvas, 'keydown', (e) => this.handleKeydown(e));
+        this.listen(this.canvas, 'focus', () => this.setActive(Math.max(this.focusIndex, 0), 'focus'));
+        this.listen(this.canvas, 'blur', () => this.setActive(-1, 'focus'));
+
+        if ('ResizeObserver' in window) {
+            this.resizeObserver = new ResizeObserver(() => this.resize());
+            this.resizeObserver.observe(this.container);
+        } else {
+            this.listen(window, 'resize', debounce(() => this.resize(), 250));
+        }
+
+        this.resize();
+        this.refresh();
+        this.animateTo(this.dataset.values);
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push(() => target.removeEventListener(type, handler));
+    }
+
+    get dataset() {
+        return this.spec.datasets[this.datasetIndex];
+    }
+
+    get labels() {
+        const labels = this.resolveText(this.spec.labels);
+        return Array.isArray(labels) ? labels : [];
+    }
+
+    get max() {
+        return this.spec.max || Math.max(...this.spec.datasets.flatMap(dataset => dataset.values), 1);
+    }
+
+    // Spec strings may be dictionary keys or literal text
+    resolveText(value) {
+        return typeof value === 'string' ? i18n.t(value) : value;
+    }
+
+    // options.format replaces the default rounding and spec.unit
+    formatValue(value) {
+        if (this.format) return this.format(value);
+        return `${i18n.formatNumber(Math.round(value))}${this.spec.unit || ''}`;
+    }
+
+    readColors() {
+        const styles = getComputedStyle(document.documentElement);
+        const read = (name) => styles.getPropertyValue(name).trim();
+
+        return {
+            series: CHART_PALETTE.map(read),
+            primary: read('--primary-500'),
+            secondary: read('--secondary-500'),
+            text: read('--gray-500'),
+            grid: read('--gray-200'),
+            surface: read('--gray-50') || 'white',
+            font: `12px ${getComputedStyle(document.body).fontFamily}`
+        };
+    }
+
+    // Re-reads colours and copy; call after a locale or theme change
+    refresh() {
+        this.colors = this.readColors();
+        this.canvas.setAttribute('aria-label', [
+            this.resolveText(this.spec.title),
+            this.resolveText(this.dataset.label)
+        ].filter(Boolean).join(' — '));
+        this.updateTable();
+        this.render();
+
+        const active = this.focusIndex >= 0 ? this.focusIndex : this.hoverIndex;
+        if (active >= 0) {
+            this.showTooltip(active);
+        }
+    }
+
+    resize() {
+        const width = this.canvas.clientWidth;
+        if (!width) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const height = Math.round(width / this.aspectRatio);
+
+        this.width = width;
+        this.height = height;
+        this.canvas.style.height = `${height}px`;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        this.render();
+    }
+
+    setDataset(index) {
+        if (index === this.datasetIndex || !this.spec.datasets[index]) return;
+        this.datasetIndex = index;
+        this.refresh();
+        this.animateTo(this.dataset.values);
+    }
+
+    setType(type) {
+        if (type === this.type || !CHART_TYPES.includes(type)) return;
+        this.type = type;
+        this.values = this.values.map(() => 0);
+        this.animateTo(this.dataset.values);
+    }
+
+    animateTo(target) {
+        cancelAnimationFrame(this.animationId);
+
+        const from = target.map((value, index) => this.values[index] || 0);
+        const start = performance.now();
+
+        const step = (now) => {
+            const progress = this.duration && motionGovernor.motionAllowed ? Math.min((now - start) / this.duration, 1) : 1;
+            const eased = easeOutCubic(progress);
+
+            this.values = target.map((value, index) => from[index] + (value - from[index]) * eased);
+            this.render();
+
+            if (progress < 1) {
+                this.animationId = requestAnimationFrame(step);
+            }
+        };
+
+        this.animationId = requestAnimationFrame(step);
+    }
+
+    render() {
+        if (!this.width) return;
+
+        const { ctx } = this;
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.font = this.colors.font;
+        ctx.textBaseline = 'alphabetic';
+
+        this.regions = [];
+        this[`draw${this.type[0].toUpperCase()}${this.type.slice(1)}`]();
+    }
+
+    get activeIndex() {
+        return this.focusIndex >= 0 ? this.focusIndex : this.hoverIndex;
+    }
+
+    drawBar() {
+        const { ctx, width, height, values, labels } = this;
+        const padding = { top: 24, right: 8, bottom: 24, left: 8 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+        const slot = chartWidth / values.length;
+        const barWidth = slot * 0.7;
+
+        values.forEach((value, index) => {
+            const barHeight = (value / this.max) * chartHeight;
+            const x = padding.left + index * slot + (slot - barWidth) / 2;
+            const y = height - padding.bottom - barHeight;
+
+            const gradient = ctx.createLinearGradient(0, y, 0, y + barHeight);
+            gradient.addColorStop(0, this.colors.primary);
+            gradient.addColorStop(1, this.colors.secondary);
+
+            ctx.globalAlpha = this.activeIndex >= 0 && this.activeIndex !== index ? 0.45 : 1;
+            ctx.fillStyle = gradient;
+            ctx.fillRect(x, y, barWidth, barHeight);
+            ctx.globalAlpha = 1;
+
+            ctx.fillStyle = this.colors.text;
+            ctx.textAlign = 'center';
+            ctx.fillText(labels[index] ?? '', x + barWidth / 2, height - 6);
+            ctx.fillText(this.formatValue(value), x + barWidth / 2, y - 6);
+
+            this.regions.push({ x, y, width: barWidth, height: Math.max(barHeight, 8), anchorX: x + barWidth / 2, anchorY: y });
+        });
+    }
+
+    drawLine() {
+        const { ctx, width, height, values, labels } = this;
+        const padding = { top: 24, right: 20, bottom: 24, left: 20 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+        const stepX = values.length > 1 ? chartWidth / (values.length - 1) : 0;
+        const baseline = height - padding.bottom;
+
+        const points = values.map((value, index) => ({
+            x: padding.left + index * stepX,
+            y: baseline - (value / this.max) * chartHeight
+        }));
+
+        ctx.strokeStyle = this.colors.grid;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, baseline);
+        ctx.lineTo(width - padding.right, baseline);
+        ctx.stroke();
+
+        const area = ctx.createLinearGradient(0, padding.top, 0, baseline);
+        area.addColorStop(0, withAlpha(this.colors.primary, 0.25));
+        area.addColorStop(1, withAlpha(this.colors.primary, 0));
+
+        ctx.beginPath();
+        points.forEach((point, index) => index ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y));
+        ctx.lineTo(points[points.length - 1].x, baseline);
+        ctx.lineTo(points[0].x, baseline);
+        ctx.closePath();
+        ctx.fillStyle = area;
+        ctx.fill();
+
+        ctx.beginPath();
+        points.forEach((point, index) => index ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y));
+        ctx.strokeStyle = this.colors.primary;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        points.forEach((point, index) => {
+            const isActive = this.activeIndex === index;
+
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, isActive ? 6 : 3.5, 0, Math.PI * 2);
+            ctx.fillStyle = isActive ? this.colors.secondary : this.colors.primary;
+            ctx.fill();
+
+            ctx.fillStyle = this.colors.text;
+            ctx.textAlign = 'center';
+            ctx.fillText(labels[index] ?? '', point.x, height - 6);
+
+            this.regions.push({ x: point.x - stepX / 2, y: 0, width: stepX || chartWidth, height, anchorX: point.x, anchorY: point.y });
+        });
+    }
+
+    drawDonut() {
+        const { ctx, width, height, values, labels } = this;
+        const total = values.reduce((sum, value) => sum + value, 0) || 1;
+        const outer = Math.min(height, width * 0.5) / 2 - 8;
+        const inner = outer * 0.6;
+        const cx = outer + 12;
+        const cy = height / 2;
+        let angle = -Math.PI / 2;
+
+        values.forEach((value, index) => {
+            const sweep = (value / total) * Math.PI * 2;
+            const mid = angle + sweep / 2;
+            const offset = this.activeIndex === index ? 6 : 0;
+            const ox = Math.cos(mid) * offset;
+            const oy = Math.sin(mid) * offset;
+
+            ctx.beginPath();
+            ctx.arc(cx + ox, cy + oy, outer, angle, angle + sweep);
+            ctx.arc(cx + ox, cy + oy, inner, angle + sweep, angle, true);
+            ctx.closePath();
+            ctx.fillStyle = this.colors.series[index % this.colors.series.length];
+            ctx.fill();
+
+            this.regions.push({
+                donut: { cx, cy, inner, outer, start: angle, end: angle + sweep },
+                anchorX: cx + Math.cos(mid) * outer,
+                anchorY: cy + Math.sin(mid) * outer
+            });
+
+            angle += sweep;
+        });
+
+        // Legend
+        const legendX = cx + outer + 24;
+        const rowHeight = Math.min(20, height / Math.max(values.length, 1));
+        let legendY = cy - (rowHeight * values.length) / 2 + rowHeight / 2;
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        values.forEach((value, index) => {
+            ctx.fillStyle = this.colors.series[index % this.colors.series.length];
+            ctx.fillRect(legendX, legendY - 5, 10, 10);
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(`${labels[index] ?? ''} · ${this.formatValue(value)}`, legendX + 16, legendY);
+            legendY += rowHeight;
+        });
+    }
+
+    hitTest(x, y) {
+        return this.regions.findIndex(region => {
+            if (region.donut) {
+                const { cx, cy, inner, outer, start, end } = region.donut;
+                const distance = Math.hypot(x - cx, y - cy);
+                let angle = Math.atan2(y - cy, x - cx);
+                if (angle < start) angle += Math.PI * 2;
+                return distance >= inner && distance <= outer && angle >= start && angle <= end;
+            }
+            return x >= region.x && x <= region.x + region.width && y >= region.y && y <= region.y + region.height;
+        });
+    }
+
+    handlePointerMove(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.setActive(this.hitTest(e.clientX - rect.left, e.clientY - rect.top), 'hover');
+    }
+
+    handleKeydown(e) {
+        const count = this.values.length;
+        const current = Math.max(this.focusIndex, 0);
+        const moves = {
+            ArrowRight: (current + 1) % count,
+            ArrowDown: (current + 1) % count,
+            ArrowLeft: (current - 1 + count) % count,
+            ArrowUp: (current - 1 + count) % count,
+            Home: 0,
+            End: count - 1
+        };
+
+        if (e.key in moves) {
+            e.preventDefault();
+            this.setActive(moves[e.key], 'focus');
+        } else if (e.key === 'Escape') {
+            this.setActive(-1, 'focus');
+        }
+    }
+
+    setActive(index, source) {
+        if (source === 'focus') {
+            this.focusIndex = index;
+        } else {
+            this.hoverIndex = index;
+        }
+
+        this.render();
+
+        const active = this.activeIndex;
+        if (active >= 0) {
+            this.showTooltip(active);
+        } else {
+            this.hideTooltip();
+        }
+    }
+
+    showTooltip(index) {
+        const region = this.regions[index];
+        if (!region) return;
+
+        const value = this.dataset.values[index];
+        this.tooltip.textContent = `${this.labels[index] ?? ''}: ${this.formatValue(value)}`;
+        this.tooltip.style.left = `${this.canvas.offsetLeft + region.anchorX}px`;
+        this.tooltip.style.top = `${this.canvas.offsetTop + region.anchorY}px`;
+        this.tooltip.classList.add('visible');
+    }
+
+    hideTooltip() {
+        this.tooltip.classList.remove('visible');
+    }
+
+    updateTable() {
+        const caption = document.createElement('caption');
+        caption.textContent = this.canvas.getAttribute('aria-label');
+
+        const head = document.createElement('thead');
+        head.innerHTML = '<tr><th scope="col"></th><th scope="col"></th></tr>';
+        head.querySelectorAll('th')[0].textContent = i18n.t(this.spec.category || 'chart.table.category');
+        head.querySelectorAll('th')[1].textContent = i18n.t('chart.table.value');
+
+        const body = document.createElement('tbody');
+        this.dataset.values.forEach((value, index) => {
+            const row = body.insertRow();
+            const header = document.createElement('th');
+            header.scope = 'row';
+            header.textContent = this.labels[index] ?? '';
+            row.appendChild(header);
+            row.insertCell().textContent = this.formatValue(value);
+        });
+
+        this.table.replaceChildren(caption, head, body);
+    }
+
+    destroy() {
+        cancelAnimationFrame(this.animationId);
+        this.resizeObserver?.disconnect();
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.tooltip.remove();
+        this.table.remove();
+    }
+}
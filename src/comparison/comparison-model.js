@@ -0,0 +1,51 @@
+// Comparison Model
+// The feature matrix under #analytics, from public/data/comparison.json:
+// products in column order, then categories of rows with a value per product
+// id. A value has a `level` (yes, partial or no), a `text`, or both. Names and
+// texts are dictionary keys or literal text, resolved by the caller.
+export const LEVELS = ['yes', 'partial', 'no'];
+
+export class ComparisonModel {
+    constructor(data) {
+        this.products = data.products;
+        this.categories = data.categories;
+    }
+
+    static async load(src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return new ComparisonModel(await response.json());
+    }
+
+    value(row, productId) {
+        return row.values?.[productId] ?? null;
+    }
+
+    // A row differs when the given products don't all share the same value
+    differs(row, productIds) {
+        const values = productIds.map(id => {
+            const value = this.value(row, id);
+            return value ? `${value.level ?? ''}|${value.text ?? ''}` : '';
+        });
+        return new Set(values).size > 1;
+    }
+
+    // Categories with the rows left for these columns; empty ones drop out
+    view({ productIds, differencesOnly = false }) {
+        return this.categories
+            .map(category => ({
+                category,
+                rows: category.rows.filter(row => !differencesOnly || this.differs(row, productIds))
+            }))
+            .filter(group => group.rows.length > 0);
+    }
+}
+
+// Rows of strings to RFC 4180 CSV
+export function toCsv(rows) {
+    return rows
+        .map(cells => cells.map(cell => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell)).join(','))
+        .join('\r\n');
+}
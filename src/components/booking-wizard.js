@@ -0,0 +1,430 @@
+import { Component } from '../core/component.js';
+import { AppConfig } from '../core/config.js';
+import { i18n } from '../core/i18n.js';
+import { registry } from '../core/registry.js';
+import { debounce } from '../core/utils.js';
+import { buildSlots, groupSlotsByDay } from '../booking/availability.js';
+import { createIcs, downloadIcs } from '../booking/ics.js';
+
+// Booking Wizard
+// Splits the demo form into its fieldset.form-step[data-step] steps and adds a
+// demo slot picker fed by data-availability-src. It runs alongside
+// FormController on the same form: FormController still validates and sends
+// the lead, the wizard cancels `beforesubmit` until the last step and takes
+// over once `formresult` reports success. Without availability the slot step
+// is skipped; without this component the form stays a single page.
+// Progress is kept in sessionStorage so a reload resumes the same step.
+export class BookingWizard extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.form = element;
+        this.options = { ...AppConfig.booking, ...this.options };
+
+        this.allSteps = [...this.form.querySelectorAll('.form-step[data-step]')];
+        this.steps = this.allSteps;
+        this.progress = this.form.querySelector('.wizard-progress');
+        this.nav = this.form.querySelector('.wizard-nav');
+        this.backButton = this.form.querySelector('[data-wizard="back"]');
+        this.nextButton = this.form.querySelector('[data-wizard="next"]');
+        this.submitButton = this.form.querySelector('button[type="submit"]');
+        this.slotStep = this.form.querySelector('.form-step[data-step="slot"]');
+        this.confirmation = this.form.parentElement.querySelector('.booking-confirmation');
+
+        this.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        this.current = 0;
+        this.slots = [];
+        this.days = [];
+        this.selectedDay = null;
+        this.booking = null;
+        this.save = debounce(() => this.saveProgress(), 300);
+
+        if (this.steps.length < 2) return;
+        this.init();
+    }
+
+    async init() {
+        const [availability] = await Promise.allSettled([this.loadAvailability(), i18n.ready]);
+        if (this.destroyed) return;
+
+        if (availability.status === 'fulfilled') {
+            this.slots = buildSlots(availability.value);
+            this.days = groupSlotsByDay(this.slots, this.timeZone);
+        } else {
+            console.warn('Demo slots unavailable:', availability.reason);
+            this.reportError(availability.reason, { phase: 'availability' });
+        }
+
+        if (this.slots.length === 0) {
+            this.steps = this.allSteps.filter(step => step !== this.slotStep);
+        }
+
+        this.activate();
+    }
+
+    async loadAvailability() {
+        const src = this.form.dataset.availabilitySrc;
+        if (!src) {
+            throw new Error('No data-availability-src on the form');
+        }
+
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    get formController() {
+        return registry.get(this.form, 'contact-form');
+    }
+
+    get isLastStep() {
+        return this.current === this.steps.length - 1;
+    }
+
+    activate() {
+        this.form.classList.add('wizard-active');
+        this.progress.hidden = false;
+        this.nav.hidden = false;
+        this.progress.querySelectorAll('li[data-step]').forEach(item => {
+            item.hidden = !this.steps.some(step => step.dataset.step === item.dataset.step);
+        });
+
+        this.listen(this.backButton, 'click', () => this.showStep(this.current - 1));
+        this.listen(this.nextButton, 'click', () => this.next());
+
+        // Enter in a text field submits the form; on earlier steps that means "next"
+        this.listen(this.form, 'beforesubmit', (e) => {
+            if (!this.isLastStep) {
+                e.preventDefault();
+                this.next();
+            } else if (!this.hasSlot()) {
+                e.preventDefault();
+                this.showSlotError();
+            }
+        });
+
+        // Links in the error summary may point at a field on another step
+        this.listen(this.form, 'click', (e) => {
+            const link = e.target.closest('.form-error-summary a');
+            if (link) this.showStepOf(this.formController?.validator.fieldsFor(link.dataset.field)[0]);
+        }, { capture: true });
+
+        this.listen(this.form, 'formresult', (e) => this.handleResult(e.detail.result));
+        this.listen(this.form, 'input', this.save);
+        this.listen(this.form, 'change', this.save);
+
+        this.listen(this.confirmation.querySelector('[data-booking="ics"]'), 'click', () => this.downloadInvite());
+        this.listen(this.confirmation.querySelector('[data-booking="restart"]'), 'click', () => this.restart());
+
+        this.listen(i18n, 'localechange', () => {
+            this.renderSlots();
+            if (this.booking) this.renderConfirmation();
+        });
+
+        this.onDestroy(() => {
+            this.form.classList.remove('wizard-active');
+            this.progress.hidden = true;
+            this.nav.hidden = true;
+            this.allSteps.forEach(step => step.hidden = step === this.slotStep);
+            this.submitButton.hidden = false;
+        });
+
+        this.setupSlotPicker();
+        this.showStep(this.restoreProgress(), { focus: false });
+    }
+
+    showStep(index, { focus = true } = {}) {
+        this.current = Math.max(0, Math.min(index, this.steps.length - 1));
+        const active = this.steps[this.current];
+
+        this.allSteps.forEach(step => step.hidden = step !== active);
+        this.progress.querySelectorAll('li[data-step]').forEach(item => {
+            const position = this.steps.findIndex(step => step.dataset.step === item.dataset.step);
+            item.classList.toggle('done', position !== -1 && position < this.current);
+            if (position === this.current) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        this.backButton.hidden = this.current === 0;
+        this.nextButton.hidden = this.isLastStep;
+        this.submitButton.hidden = !this.isLastStep;
+
+        if (focus) {
+            const target = active.querySelector('input:not([type="hidden"]), select, textarea, .slot-day[aria-pressed="true"], .slot-day');
+            target?.focus();
+        }
+
+        this.form.dispatchEvent(new CustomEvent('stepchange', {
+            bubbles: true,
+            detail: { step: active.dataset.step, index: this.current }
+        }));
+        this.save();
+    }
+
+    async next() {
+        const step = this.steps[this.current];
+        if (await this.validateStep(step) && !this.destroyed && this.steps[this.current] === step) {
+            this.showStep(this.current + 1);
+        }
+    }
+
+    async validateStep(step) {
+        if (step === this.slotStep && !this.hasSlot()) {
+            this.showSlotError();
+            return false;
+        }
+
+        const form = this.formController;
+        if (!form) return true;
+
+        const invalid = await form.validateFields([...step.querySelectorAll('input, select, textarea')]);
+        if (invalid.length > 0) {
+            invalid[0].focus();
+            return false;
+        }
+
+        form.removeMessages();
+        return true;
+    }
+
+    hasSlot() {
+        return !this.steps.includes(this.slotStep) || Boolean(this.form.elements.slot.value);
+    }
+
+    showSlotError() {
+        this.formController?.showError(i18n.t('booking.errors.slot'));
+        this.slotStep.querySelector('.slot-time, .slot-day')?.focus();
+    }
+
+    showStepOf(field) {
+        const index = this.steps.findIndex(step => step.contains(field));
+        if (index !== -1 && index !== this.current) {
+            this.showStep(index, { focus: false });
+        }
+    }
+
+    // Slot picker: a row of days, then the free times of the chosen day
+    setupSlotPicker() {
+        if (!this.slotStep) return;
+
+        this.daysContainer = this.slotStep.querySelector('.slot-days');
+        this.timesContainer = this.slotStep.querySelector('.slot-times');
+
+        this.listen(this.daysContainer, 'click', (e) => {
+            const button = e.target.closest('.slot-day');
+            if (!button) return;
+            this.selectedDay = button.dataset.date;
+            this.renderSlots();
+        });
+
+        this.listen(this.timesContainer, 'click', (e) => {
+            const button = e.target.closest('.slot-time');
+            if (!button) return;
+            this.selectSlot(button.dataset.slot);
+            this.timesContainer.querySelector(`[data-slot="${button.dataset.slot}"]`)?.focus();
+        });
+
+        this.form.elements.timezone.value = this.timeZone;
+        this.renderSlots();
+    }
+
+    selectSlot(id) {
+        this.form.elements.slot.value = id;
+        this.form.elements.timezone.value = this.timeZone;
+        this.renderSlots();
+        this.save();
+    }
+
+    findSlot(id) {
+        return this.slots.find(slot => slot.id === id) ?? null;
+    }
+
+    formatDay(date, options = { weekday: 'short', day: 'numeric', month: 'short' }) {
+        return new Intl.DateTimeFormat(i18n.locale, { ...options, timeZone: this.timeZone }).format(date);
+    }
+
+    formatSlot(slot) {
+        const day = this.formatDay(slot.start, { weekday: 'long', day: 'numeric', month: 'long' });
+        const time = new Intl.DateTimeFormat(i18n.locale, { hour: '2-digit', minute: '2-digit', timeZone: this.timeZone });
+        return `${day}, ${time.format(slot.start)}–${time.format(slot.end)}`;
+    }
+
+    renderSlots() {
+        if (!this.slotStep || this.days.length === 0) return;
+
+        const selected = this.findSlot(this.form.elements.slot.value);
+        const selectedDate = selected && this.days.find(day => day.slots.includes(selected))?.date;
+        if (!this.days.some(day => day.date === this.selectedDay)) {
+            this.selectedDay = selectedDate || this.days[0].date;
+        }
+
+        this.slotStep.querySelector('.slot-timezone').textContent = i18n.t('booking.slots.timezone', { zone: this.timeZone });
+
+        this.daysContainer.replaceChildren(...this.days.map(({ date, slots }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'slot-day';
+            button.dataset.date = date;
+            button.textContent = this.formatDay(slots[0].start);
+            button.setAttribute('aria-pressed', String(date === this.selectedDay));
+            button.classList.toggle('has-selection', date === selectedDate);
+            return button;
+        }));
+
+        const time = new Intl.DateTimeFormat(i18n.locale, { hour: '2-digit', minute: '2-digit', timeZone: this.timeZone });
+        const day = this.days.find(({ date }) => date === this.selectedDay);
+        this.timesContainer.replaceChildren(...day.slots.map(slot => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'slot-time';
+            button.dataset.slot = slot.id;
+            button.textContent = time.format(slot.start);
+            button.setAttribute('aria-pressed', String(slot === selected));
+            return button;
+        }));
+
+        this.slotStep.querySelector('.slot-selection').textContent = selected
+            ? i18n.t('booking.slots.selected', { slot: this.formatSlot(selected) })
+            : '';
+    }
+
+    saveProgress() {
+        if (this.destroyed || this.booking) return;
+
+        const values = {};
+        [...this.form.elements].forEach(field => {
+            if (!field.name || field.type === 'submit' || field.type === 'button') return;
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                if (!values[field.name]) values[field.name] = [];
+                if (field.checked) values[field.name].push(field.value);
+                return;
+            }
+            values[field.name] = field.value;
+        });
+
+        try {
+            sessionStorage.setItem(this.options.storageKey, JSON.stringify({
+                step: this.steps[this.current].dataset.step,
+                values,
+                savedAt: Date.now()
+            }));
+        } catch (error) {
+            // Storage can be unavailable in private mode; progress just won't survive a reload
+        }
+    }
+
+    // Returns the index of the step to resume at
+    restoreProgress() {
+        let saved = null;
+
+        try {
+            saved = JSON.parse(sessionStorage.getItem(this.options.storageKey));
+        } catch (error) {
+            return 0;
+        }
+        if (!saved || Date.now() - saved.savedAt > this.options.maxAge) return 0;
+
+        const unknown = {};
+        Object.entries(saved.values || {}).forEach(([name, value]) => {
+            const field = this.form.elements.namedItem(name);
+            if (!field) {
+                unknown[name] = value;
+            } else if (Array.isArray(value)) {
+                this.form.querySelectorAll(`[name="${name}"]`).forEach(option => option.checked = value.includes(option.value));
+            } else {
+                field.value = value;
+            }
+        });
+
+        // Fields added by other components, like the pricing plan
+        if (Object.keys(unknown).length > 0) {
+            this.formController?.prefill(unknown);
+        }
+
+        // A slot from an earlier visit may have passed or been taken since
+        if (this.slotStep && !this.findSlot(this.form.elements.slot.value)) {
+            this.form.elements.slot.value = '';
+        }
+        this.renderSlots();
+
+        return Math.max(0, this.steps.findIndex(step => step.dataset.step === saved.step));
+    }
+
+    clearProgress() {
+        try {
+            sessionStorage.removeItem(this.options.storageKey);
+        } catch (error) {
+            // Nothing to clear
+        }
+    }
+
+    handleResult(result) {
+        if (result === 'invalid' || result === 'rejected') {
+            // Send the visitor back to the first step with a problem
+            const field = this.form.querySelector('[aria-invalid="true"]');
+            if (field) {
+                this.showStepOf(field);
+                field.focus();
+            }
+            return;
+        }
+
+        if (result !== 'success' && result !== 'queued') return;
+
+        // FormController resets the form right after this event, so take a copy first
+        const data = this.formController.readData();
+        this.booking = {
+            data,
+            queued: result === 'queued',
+            slot: this.findSlot(data.slot),
+            uid: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}@hermesteam`
+        };
+        this.clearProgress();
+        this.renderConfirmation();
+
+        this.form.hidden = true;
+        this.confirmation.hidden = false;
+        this.confirmation.querySelector('h3').focus();
+    }
+
+    renderConfirmation() {
+        const { data, slot, queued } = this.booking;
+
+        this.confirmation.querySelector('.booking-confirmation-text').textContent = slot
+            ? i18n.t('booking.confirmation.slot', { slot: this.formatSlot(slot), email: data.email })
+            : i18n.t('booking.confirmation.noSlot', { email: data.email });
+        this.confirmation.querySelector('.booking-confirmation-note').textContent = queued
+            ? i18n.t('booking.confirmation.queued')
+            : '';
+        this.confirmation.querySelector('[data-booking="ics"]').hidden = !slot;
+    }
+
+    downloadInvite() {
+        const { data, slot, uid } = this.booking;
+        if (!slot) return;
+
+        downloadIcs(createIcs({
+            uid,
+            start: slot.start,
+            end: slot.end,
+            summary: i18n.t('booking.ics.summary'),
+            description: i18n.t('booking.ics.description', { name: data.name, company: data.company }),
+            location: i18n.t('booking.ics.location'),
+            url: location.origin
+        }), 'hermesteam-demo.ics');
+    }
+
+    restart() {
+        this.booking = null;
+        this.selectedDay = null;
+        this.form.elements.slot.value = '';
+        this.confirmation.hidden = true;
+        this.form.hidden = false;
+        this.renderSlots();
+        this.showStep(0);
+    }
+}
@@ -0,0 +1,280 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+import { registry } from '../core/registry.js';
+import { CaseStudyStore } from '../cases/case-store.js';
+import { renderCaseVisual } from '../cases/case-visuals.js';
+
+// Case Studies
+// Renders the customer stories under #examples from data-cases-src: one
+// .example-tab and one .example-content per case, cloned from the <template>s
+// inside the element, after which the tabs component on the same element is
+// refreshed. The industry and team-size selects narrow the tabs down; "More
+// about the case" opens dialog.case-details with the story and a before/after
+// table. Result tiles and "after" values are [data-counter]s, so they count
+// up through the scroll-animation counters when they come into view.
+export class CaseStudies extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.tabList = element.querySelector('.examples-tabs');
+        this.panels = element.querySelector('.case-panels');
+        this.empty = element.querySelector('.case-empty');
+        this.status = element.querySelector('.case-filter-status');
+        this.dialog = element.querySelector('.case-details');
+        this.filters = {
+            industry: element.querySelector('[data-case-filter="industry"]'),
+            teamSize: element.querySelector('[data-case-filter="teamSize"]')
+        };
+        this.templates = {
+            tab: element.querySelector('.case-tab-template'),
+            study: element.querySelector('.case-template'),
+            result: element.querySelector('.case-result-template')
+        };
+
+        this.store = null;
+        // Rendered panels by case id, for the current locale
+        this.rendered = new Map();
+        this.openId = null;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            [this.store] = await Promise.all([
+                CaseStudyStore.load(this.element.dataset.casesSrc),
+                i18n.ready
+            ]);
+        } catch (error) {
+            console.warn('Case studies unavailable:', error);
+            this.reportError(error, { phase: 'load' });
+            this.element.querySelector('.case-filters').hidden = true;
+            this.element.querySelector('.case-load-error').hidden = false;
+            return;
+        }
+        if (this.destroyed) return;
+
+        Object.values(this.filters).forEach(select => {
+            this.listen(select, 'change', () => this.render());
+        });
+
+        this.listen(this.element.querySelector('[data-case="reset"]'), 'click', () => {
+            Object.values(this.filters).forEach(select => {
+                select.value = '';
+            });
+            this.render();
+            this.filters.industry.focus();
+        });
+
+        this.listen(this.panels, 'click', (e) => {
+            const button = e.target.closest('[data-case="details"]');
+            if (button) this.open(button.dataset.caseId);
+        });
+
+        this.setupDialog();
+        this.listen(i18n, 'localechange', () => {
+            this.rendered.clear();
+            this.renderFilterOptions();
+            this.render();
+            if (this.openId) this.renderDialog();
+        });
+
+        this.renderFilterOptions();
+        this.render();
+    }
+
+    setupDialog() {
+        this.listen(this.dialog.querySelector('[data-case="close"]'), 'click', () => this.dialog.close());
+
+        // A click on the backdrop lands on the dialog element itself
+        this.listen(this.dialog, 'click', (e) => {
+            if (e.target === this.dialog) this.dialog.close();
+        });
+
+        // The panel may have been re-rendered meanwhile, so look the button up again
+        this.listen(this.dialog, 'close', () => {
+            this.panels.querySelector(`[data-case="details"][data-case-id="${this.openId}"]`)?.focus();
+            this.openId = null;
+        });
+
+        this.onDestroy(() => {
+            if (this.dialog.open) this.dialog.close();
+        });
+    }
+
+    text(value) {
+        return this.store.text(value, i18n.locale);
+    }
+
+    filterValues() {
+        return {
+            industry: this.filters.industry.value,
+            teamSize: this.filters.teamSize.value
+        };
+    }
+
+    // The first, "any" option comes from the markup; the rest from the data
+    renderFilterOptions() {
+        const fill = (select, options) => {
+            const { value } = select;
+            select.replaceChildren(select.options[0], ...options.map(([id, label]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                return option;
+            }));
+            select.value = value;
+        };
+
+        fill(this.filters.industry, this.store.usedIndustries().map(id => [
+            id,
+            this.store.industryName(id, i18n.locale)
+        ]));
+        fill(this.filters.teamSize, this.store.teamSizes.map(bucket => [
+            bucket.id,
+            this.store.teamSizeName(bucket, i18n.locale)
+        ]));
+    }
+
+    render() {
+        const studies = this.store.filter(this.filterValues());
+
+        this.tabList.replaceChildren(...studies.map(study => this.renderTab(study)));
+        this.panels.replaceChildren(...studies.map(study => {
+            if (!this.rendered.has(study.id)) {
+                this.rendered.set(study.id, this.renderCase(study));
+            }
+            return this.rendered.get(study.id);
+        }));
+
+        this.tabList.hidden = studies.length === 0;
+        this.empty.hidden = studies.length > 0;
+        this.status.textContent = i18n.t('examples.filters.count', {
+            count: studies.length,
+            total: this.store.list().length
+        });
+
+        registry.get(this.element, 'tabs')?.refresh();
+    }
+
+    renderTab(study) {
+        const button = cloneTemplate(this.templates.tab);
+        button.dataset.example = study.id;
+        button.textContent = study.tab ? this.text(study.tab) : this.store.industryName(study.industry, i18n.locale);
+        return button;
+    }
+
+    renderCase(study) {
+        const panel = cloneTemplate(this.templates.study);
+        const title = this.text(study.title);
+
+        panel.id = `example-${study.id}`;
+        panel.querySelector('.case-meta').textContent = this.metaText(study);
+        panel.querySelector('.case-title').textContent = title;
+        this.fillFields(panel, study);
+
+        panel.querySelector('.results-grid').replaceChildren(...study.results.map(result => this.renderResult(result)));
+
+        const details = panel.querySelector('[data-case="details"]');
+        details.dataset.caseId = study.id;
+        details.setAttribute('aria-label', i18n.t('examples.details.openFor', { title }));
+
+        const visual = renderCaseVisual(study.visual, value => this.text(value));
+        const visualSlot = panel.querySelector('.case-visual');
+        if (visual) {
+            visualSlot.appendChild(visual);
+        } else {
+            visualSlot.remove();
+        }
+
+        return panel;
+    }
+
+    renderResult(result) {
+        const item = cloneTemplate(this.templates.result);
+        const value = item.querySelector('.result-value');
+
+        value.dataset.target = result.value;
+        value.dataset.suffix = result.suffix || '';
+        value.textContent = `${i18n.formatNumber(0)}${result.suffix || ''}`;
+        item.querySelector('.result-desc').textContent = this.text(result.label);
+
+        return item;
+    }
+
+    metaText(study) {
+        return i18n.t('examples.meta', {
+            industry: this.store.industryName(study.industry, i18n.locale),
+            size: i18n.formatNumber(study.teamSize)
+        });
+    }
+
+    fillFields(root, study) {
+        root.querySelectorAll('[data-case-field]').forEach(field => {
+            field.textContent = this.text(study[field.dataset.caseField]);
+        });
+    }
+
+    open(id) {
+        this.openId = id;
+        this.renderDialog();
+        if (!this.dialog.open) this.dialog.showModal();
+    }
+
+    renderDialog() {
+        const study = this.store.get(this.openId);
+
+        this.dialog.querySelector('.case-meta').textContent = this.metaText(study);
+        this.dialog.querySelector('.case-details-title').textContent = this.text(study.title);
+        this.fillFields(this.dialog, study);
+
+        const story = this.dialog.querySelector('.case-story');
+        story.textContent = study.story ? this.text(study.story) : '';
+        story.hidden = !study.story;
+
+        // Fresh rows each time, so the counters run again on every open
+        this.dialog.querySelector('.case-metrics tbody').replaceChildren(...study.results.map(result => {
+            const decimals = Math.max(decimalsOf(result.before), decimalsOf(result.after));
+            const format = value => i18n.formatNumber(value, {
+                minimumFractionDigits: decimals,
+                maximumFractionDigits: decimals
+            });
+
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <th scope="row"></th>
+                <td class="metric-before"></td>
+                <td class="metric-after"><span data-counter></span></td>
+            `;
+
+            const unit = result.unit ? this.text(result.unit) : '';
+            row.querySelector('th').textContent = unit ? `${this.text(result.label)}, ${unit}` : this.text(result.label);
+            row.querySelector('.metric-before').textContent = format(result.before);
+
+            const after = row.querySelector('[data-counter]');
+            after.dataset.from = result.before;
+            after.dataset.target = result.after;
+            after.dataset.decimals = decimals;
+            after.textContent = format(result.before);
+
+            return row;
+        }));
+
+        const quote = this.dialog.querySelector('.case-quote');
+        quote.hidden = !study.quote;
+        if (study.quote) {
+            quote.querySelector('p').textContent = this.text(study.quote.text);
+            quote.querySelector('footer').textContent = this.text(study.quote.author);
+        }
+    }
+}
+
+// Templates carry data-i18n labels, translated once cloned
+function cloneTemplate(template) {
+    const element = template.content.firstElementChild.cloneNode(true);
+    i18n.translate(element);
+    return element;
+}
+
+function decimalsOf(value) {
+    return (String(value).split('.')[1] || '').length;
+}
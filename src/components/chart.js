@@ -0,0 +1,118 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+import { themeManager } from '../core/theme.js';
+import { ChartEngine, CHART_TYPES } from '../chart/chart-engine.js';
+
+// Chart Controller for Analytics Demo
+// The canvas declares its data either as a JSON file (data-chart-src) or
+// inline through data-chart-type, data-chart-labels, data-chart-values,
+// data-chart-unit and data-chart-max.
+export class ChartController extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.canvas = element;
+        
+        this.engine = null;
+        
+        this.init();
+    }
+
+    async init() {
+        let spec;
+
+        try {
+            [spec] = await Promise.all([this.loadSpec(), i18n.ready]);
+        } catch (error) {
+            console.error('Failed to load chart data:', error);
+            this.reportError(error, { src: this.canvas.dataset.chartSrc || null });
+            return;
+        }
+
+        if (this.destroyed) return;
+
+        this.engine = new ChartEngine(this.canvas, spec);
+        this.renderToolbar(spec);
+
+        this.listen(i18n, 'localechange', () => this.engine.refresh());
+        this.listen(themeManager, 'themechange', () => this.engine.refresh());
+        this.onDestroy(() => {
+            this.engine.destroy();
+            this.toolbar.remove();
+        });
+    }
+
+    async loadSpec() {
+        const { dataset } = this.canvas;
+
+        if (dataset.chartSrc) {
+            const response = await fetch(dataset.chartSrc);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return { ...(await response.json()), ...(dataset.chartType && { type: dataset.chartType }) };
+        }
+
+        return {
+            type: dataset.chartType,
+            title: dataset.chartTitle,
+            unit: dataset.chartUnit,
+            max: Number(dataset.chartMax) || undefined,
+            labels: dataset.chartLabels?.includes(',') ? dataset.chartLabels.split(',').map(label => label.trim()) : dataset.chartLabels,
+            datasets: [{
+                id: 'default',
+                values: (dataset.chartValues || '').split(',').map(Number)
+            }]
+        };
+    }
+
+    renderToolbar(spec) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'chart-toolbar';
+
+        if (spec.datasets.length > 1) {
+            toolbar.appendChild(this.createButtonGroup(
+                'chart.controls.dataset',
+                spec.datasets.map((dataset, index) => ({ key: dataset.label, value: index })),
+                this.engine.datasetIndex,
+                (index) => this.engine.setDataset(index)
+            ));
+        }
+
+        toolbar.appendChild(this.createButtonGroup(
+            'chart.controls.type',
+            CHART_TYPES.map(type => ({ key: `chart.types.${type}`, value: type })),
+            this.engine.type,
+            (type) => this.engine.setType(type)
+        ));
+
+        this.canvas.parentElement.insertBefore(toolbar, this.canvas);
+        this.toolbar = toolbar;
+    }
+
+    createButtonGroup(labelKey, options, selected, onSelect) {
+        const group = document.createElement('div');
+        group.className = 'chart-toolbar-group';
+        group.setAttribute('role', 'group');
+        group.dataset.i18nAttr = `aria-label:${labelKey}`;
+        group.setAttribute('aria-label', i18n.t(labelKey));
+
+        const buttons = options.map(option => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'chart-toolbar-btn';
+            button.dataset.i18n = option.key;
+            button.textContent = i18n.t(option.key);
+            button.setAttribute('aria-pressed', String(option.value === selected));
+
+            button.addEventListener('click', () => {
+                buttons.forEach(other => other.setAttribute('aria-pressed', String(other === button)));
+                onSelect(option.value);
+            });
+
+            group.appendChild(button);
+            return button;
+        });
+
+        return group;
+    }
+}
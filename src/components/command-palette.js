@@ -0,0 +1,231 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+import { registry } from '../core/registry.js';
+import { scrollToSection } from '../core/scroll.js';
+import { buildPageIndex, searchIndex } from '../search/page-index.js';
+
+// Command Palette
+// Site-wide search in a modal dialog, opened with Ctrl/Cmd+K or any
+// [data-command-palette] button. The input is a WAI-ARIA combobox over a
+// listbox of results: arrows move the active option, Enter picks it, Escape
+// closes. Picking a result switches its tab group through
+// TabController.switchTab (so the URL follows) and scrolls to the section.
+// The index is rebuilt on every open, from whatever the page shows by then.
+const MAX_RESULTS = 8;
+
+export class CommandPalette extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.dialog = element;
+        this.input = element.querySelector('.command-palette-input');
+        this.results = element.querySelector('.command-palette-results');
+        this.empty = element.querySelector('.command-palette-empty');
+        this.status = element.querySelector('.command-palette-status');
+
+        this.entries = [];
+        this.matches = [];
+        this.activeIndex = -1;
+        this.opener = null;
+        this.chosen = null;
+
+        this.init();
+    }
+
+    init() {
+        // Buttons show the shortcut the way the platform spells it
+        const isApple = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+        document.querySelectorAll('[data-command-palette] .search-shortcut').forEach(kbd => {
+            kbd.textContent = isApple ? '⌘K' : 'Ctrl K';
+        });
+
+        this.listen(document, 'keydown', (e) => {
+            // KeyK so the shortcut also works on non-Latin layouts
+            const isK = e.code === 'KeyK' || e.key?.toLowerCase() === 'k';
+            if (!isK || !(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+
+            e.preventDefault();
+            if (this.dialog.open) {
+                this.dialog.close();
+            } else {
+                this.open();
+            }
+        });
+
+        this.listen(document, 'click', (e) => {
+            if (e.target.closest('[data-command-palette]')) this.open();
+        });
+
+        this.listen(this.input, 'input', () => this.search());
+        this.listen(this.input, 'keydown', (e) => this.handleKeydown(e));
+
+        this.listen(this.results, 'click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.choose(Number(option.dataset.index));
+        });
+        this.listen(this.results, 'pointermove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.setActive(Number(option.dataset.index), { scroll: false });
+        });
+
+        // A click on the backdrop lands on the dialog element itself
+        this.listen(this.dialog, 'click', (e) => {
+            if (e.target === this.dialog) this.dialog.close();
+        });
+
+        // `close` fires after the dialog has given focus back, so it is
+        // moved on from here: to the chosen tab, or back to the opener
+        this.listen(this.dialog, 'close', () => {
+            const target = this.chosen ? this.tabButtonFor(this.chosen) : this.opener;
+            target?.focus({ preventScroll: true });
+            this.chosen = null;
+            this.opener = null;
+        });
+
+        this.listen(i18n, 'localechange', () => {
+            if (!this.dialog.open) return;
+            this.entries = buildPageIndex(document);
+            this.search();
+        });
+
+        this.onDestroy(() => {
+            if (this.dialog.open) this.dialog.close();
+        });
+    }
+
+    open() {
+        if (this.dialog.open) {
+            this.input.focus();
+            return;
+        }
+
+        this.opener = document.activeElement;
+        // The palette takes over from the mobile menu instead of stacking on it
+        registry.get(document.querySelector('.navbar'), 'navigation')?.closeMobileMenu({ restoreFocus: false });
+
+        this.entries = buildPageIndex(document);
+        this.input.value = '';
+        this.search();
+
+        this.dialog.showModal();
+        this.input.focus();
+    }
+
+    search() {
+        const query = this.input.value.trim();
+
+        // With nothing typed yet the palette is a list of sections to jump to
+        this.matches = query
+            ? searchIndex(this.entries, query, MAX_RESULTS)
+            : this.entries.filter(entry => entry.kind === 'section').map(entry => ({ entry, ranges: [] }));
+
+        this.render(query);
+        this.setActive(this.matches.length > 0 ? 0 : -1);
+    }
+
+    render(query) {
+        this.results.replaceChildren(...this.matches.map(({ entry, ranges }, index) => {
+            const option = document.createElement('li');
+            option.className = 'command-palette-option';
+            option.id = `command-palette-option-${index}`;
+            option.dataset.index = index;
+            option.setAttribute('role', 'option');
+            option.innerHTML = `
+                <span class="command-palette-kind"></span>
+                <span class="command-palette-text">
+                    <span class="command-palette-title"></span>
+                    <span class="command-palette-context"></span>
+                </span>
+            `;
+
+            option.querySelector('.command-palette-kind').textContent = i18n.t(`search.kind.${entry.kind}`);
+            option.querySelector('.command-palette-title').append(...highlight(entry.title, ranges));
+
+            const context = option.querySelector('.command-palette-context');
+            context.textContent = entry.context;
+            context.hidden = !entry.context;
+
+            return option;
+        }));
+
+        const found = this.matches.length > 0;
+        this.empty.hidden = found;
+        this.empty.textContent = found ? '' : i18n.t('search.empty', { query });
+        this.input.setAttribute('aria-expanded', String(found));
+        this.status.textContent = query ? i18n.t('search.count', { count: this.matches.length }) : '';
+    }
+
+    setActive(index, { scroll = true } = {}) {
+        this.activeIndex = index;
+        const options = this.results.querySelectorAll('[role="option"]');
+
+        options.forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === index));
+        });
+
+        const active = options[index];
+        if (active) {
+            this.input.setAttribute('aria-activedescendant', active.id);
+            if (scroll) active.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    handleKeydown(e) {
+        const count = this.matches.length;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                if (count) this.setActive((this.activeIndex + 1) % count);
+                break;
+            case 'ArrowUp':
+                if (count) this.setActive((this.activeIndex - 1 + count) % count);
+                break;
+            case 'Enter':
+                if (this.activeIndex !== -1) this.choose(this.activeIndex);
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+    }
+
+    choose(index) {
+        const entry = this.matches[index]?.entry;
+        if (!entry) return;
+
+        this.chosen = entry;
+        this.dialog.close();
+
+        if (entry.tabs) {
+            registry.get(entry.tabs, 'tabs')?.switchTab(entry.tabId, { history: 'push' });
+        }
+
+        scrollToSection(entry.section);
+    }
+
+    tabButtonFor(entry) {
+        const tabs = entry.tabs && registry.get(entry.tabs, 'tabs');
+        if (!tabs) return this.opener;
+
+        return [...tabs.tabButtons].find(button => tabs.getTabId(button) === entry.tabId) ?? this.opener;
+    }
+}
+
+// Title text split into plain strings and <mark>s for the matched ranges
+function highlight(text, ranges) {
+    const parts = [];
+    let cursor = 0;
+
+    ranges.forEach(([start, end]) => {
+        if (start > cursor) parts.push(text.slice(cursor, start));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        parts.push(mark);
+        cursor = end;
+    });
+    if (cursor < text.length) parts.push(text.slice(cursor));
+
+    return parts;
+}
@@ -0,0 +1,247 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+import { downloadBlob } from '../core/utils.js';
+import { ComparisonModel, LEVELS, toCsv } from '../comparison/comparison-model.js';
+
+// Comparison Table
+// Renders the competitor comparison from data-comparison-src into the <table>
+// inside the element, one <tbody> per feature category with a button in its
+// heading row that collapses it. "Only differences" hides rows where every
+// shown product has the same value, the column checkboxes hide competitors
+// (our own product always stays), and "Download CSV" saves exactly the rows
+// and columns on screen. On narrow screens the stylesheet turns each row into
+// a card, labelling cells through data-label.
+const LEVEL_ICONS = {
+    yes: '✅',
+    partial: '⚠️',
+    no: '❌'
+};
+
+export class ComparisonTable extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.scroller = element.querySelector('.comparison-scroll');
+        this.table = this.scroller.querySelector('table');
+        this.head = this.table.querySelector('thead');
+        this.controls = element.querySelector('.comparison-controls');
+        this.differencesToggle = element.querySelector('[data-comparison="differences"]');
+        this.columnsList = element.querySelector('.comparison-columns-list');
+        this.empty = element.querySelector('.comparison-empty');
+
+        this.model = null;
+        this.columnInputs = [];
+        // Product ids of hidden columns and ids of collapsed categories
+        this.hiddenProducts = new Set();
+        this.collapsed = new Set();
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            [this.model] = await Promise.all([
+                ComparisonModel.load(this.element.dataset.comparisonSrc),
+                i18n.ready
+            ]);
+        } catch (error) {
+            console.warn('Comparison unavailable:', error);
+            this.reportError(error, { phase: 'load' });
+            this.controls.hidden = true;
+            this.scroller.hidden = true;
+            this.element.querySelector('.comparison-load-error').hidden = false;
+            return;
+        }
+        if (this.destroyed) return;
+
+        this.renderColumnToggles();
+
+        this.listen(this.differencesToggle, 'change', () => this.render());
+        this.listen(this.element.querySelector('[data-comparison="export"]'), 'click', () => this.exportCsv());
+        this.listen(this.table, 'click', (e) => {
+            const button = e.target.closest('[data-comparison-category]');
+            if (button) this.toggleCategory(button);
+        });
+        this.listen(i18n, 'localechange', () => {
+            this.updateColumnToggles();
+            this.render();
+        });
+
+        this.render();
+    }
+
+    get visibleProducts() {
+        return this.model.products.filter(product => !this.hiddenProducts.has(product.id));
+    }
+
+    getView() {
+        return this.model.view({
+            productIds: this.visibleProducts.map(product => product.id),
+            differencesOnly: this.differencesToggle.checked
+        });
+    }
+
+    renderColumnToggles() {
+        this.columnInputs = this.model.products.filter(product => !product.own).map(product => {
+            const label = document.createElement('label');
+            label.className = 'comparison-column';
+            label.innerHTML = `
+                <input type="checkbox" value="${product.id}" checked>
+                <span class="comparison-column-name"></span>
+            `;
+
+            const input = label.querySelector('input');
+            this.listen(input, 'change', () => {
+                if (input.checked) {
+                    this.hiddenProducts.delete(product.id);
+                } else {
+                    this.hiddenProducts.add(product.id);
+                }
+                this.render();
+            });
+
+            this.columnsList.appendChild(label);
+            return { product, label };
+        });
+
+        this.updateColumnToggles();
+    }
+
+    updateColumnToggles() {
+        this.columnInputs.forEach(({ product, label }) => {
+            label.querySelector('.comparison-column-name').textContent = i18n.t(product.name);
+        });
+    }
+
+    render() {
+        const products = this.visibleProducts;
+        const view = this.getView();
+
+        const headRow = document.createElement('tr');
+        headRow.append(createCell('th', i18n.t('comparison.feature')), ...products.map(product => {
+            const cell = createCell('th', i18n.t(product.name));
+            cell.classList.toggle('comparison-own', Boolean(product.own));
+            return cell;
+        }));
+        headRow.querySelectorAll('th').forEach(cell => { cell.scope = 'col'; });
+        this.head.replaceChildren(headRow);
+
+        this.table.querySelectorAll('tbody').forEach(body => body.remove());
+        this.table.append(...view.map(group => this.renderCategory(group, products)));
+
+        this.scroller.hidden = view.length === 0;
+        this.empty.hidden = view.length > 0;
+    }
+
+    renderCategory({ category, rows }, products) {
+        const collapsed = this.collapsed.has(category.id);
+        const body = document.createElement('tbody');
+        body.className = 'comparison-category';
+
+        const heading = createCell('th');
+        heading.scope = 'colgroup';
+        heading.colSpan = products.length + 1;
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'comparison-category-toggle';
+        toggle.dataset.comparisonCategory = category.id;
+        toggle.setAttribute('aria-expanded', String(!collapsed));
+        toggle.innerHTML = '<span class="comparison-category-icon" aria-hidden="true"></span><span class="comparison-category-name"></span>';
+        toggle.querySelector('.comparison-category-name').textContent = i18n.t(category.name);
+        heading.appendChild(toggle);
+        const headingRow = body.insertRow();
+        headingRow.className = 'comparison-category-row';
+        headingRow.appendChild(heading);
+
+        rows.forEach(row => {
+            const line = body.insertRow();
+            line.className = 'comparison-row';
+            line.hidden = collapsed;
+
+            const name = createCell('th', i18n.t(row.name));
+            name.scope = 'row';
+            line.appendChild(name);
+            products.forEach(product => line.appendChild(this.renderValue(row, product)));
+        });
+
+        return body;
+    }
+
+    renderValue(row, product) {
+        const value = this.model.value(row, product.id);
+        const cell = createCell('td');
+        cell.dataset.label = i18n.t(product.name);
+        cell.classList.toggle('comparison-own', Boolean(product.own));
+
+        if (!value) {
+            cell.textContent = '—';
+            return cell;
+        }
+
+        const level = LEVELS.includes(value.level) ? value.level : null;
+        cell.classList.add(level ? `feature-${level}` : 'feature-price');
+        if (level) {
+            const icon = document.createElement('span');
+            icon.className = 'comparison-icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = LEVEL_ICONS[level];
+            cell.append(icon, ' ');
+        }
+        cell.append(this.valueText(value));
+
+        return cell;
+    }
+
+    // A value without text reads as its level: "Yes", "Partly", "No"
+    valueText(value) {
+        return value.text ? i18n.t(value.text) : i18n.t(`comparison.levels.${value.level}`);
+    }
+
+    // Rows are toggled in place, so the button keeps focus
+    toggleCategory(button) {
+        const id = button.dataset.comparisonCategory;
+        const expand = this.collapsed.has(id);
+
+        if (expand) {
+            this.collapsed.delete(id);
+        } else {
+            this.collapsed.add(id);
+        }
+
+        button.setAttribute('aria-expanded', String(expand));
+        button.closest('tbody').querySelectorAll('.comparison-row').forEach(row => {
+            row.hidden = !expand;
+        });
+    }
+
+    // What's on screen: shown columns, filtered rows, collapsed categories left out
+    exportCsv() {
+        const products = this.visibleProducts;
+        const rows = [[
+            i18n.t('comparison.category'),
+            i18n.t('comparison.feature'),
+            ...products.map(product => i18n.t(product.name))
+        ]];
+
+        this.getView().forEach(({ category, rows: features }) => {
+            if (this.collapsed.has(category.id)) return;
+            features.forEach(row => rows.push([
+                i18n.t(category.name),
+                i18n.t(row.name),
+                ...products.map(product => {
+                    const value = this.model.value(row, product.id);
+                    return value ? this.valueText(value) : '';
+                })
+            ]));
+        });
+
+        // The byte order mark makes Excel read the file as UTF-8
+        downloadBlob(new Blob(['\ufeff', toCsv(rows)], { type: 'text/csv;charset=utf-8' }), 'hermesteam-comparison.csv');
+    }
+}
+
+function createCell(tag, text = '') {
+    const cell = document.createElement(tag);
+    if (text) cell.textContent = text;
+    return cell;
+}
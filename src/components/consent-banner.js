@@ -0,0 +1,61 @@
+import { Component } from '../core/component.js';
+import { analytics } from '../analytics/tracker.js';
+
+// Consent Banner
+// Shown until the visitor accepts or declines analytics. Any element with
+// data-consent-open (the footer's privacy settings link) brings it back so
+// the choice can be changed later.
+export class ConsentBanner extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.banner = element;
+        this.buttons = element.querySelectorAll('[data-consent]');
+        this.returnFocus = null;
+
+        this.init();
+    }
+
+    init() {
+        this.buttons.forEach(button => {
+            this.listen(button, 'click', () => {
+                analytics.setConsent(button.dataset.consent);
+                this.close();
+            });
+        });
+
+        this.listen(document, 'click', (e) => {
+            const trigger = e.target.closest('[data-consent-open]');
+            if (!trigger) return;
+            e.preventDefault();
+            this.open(trigger);
+        });
+
+        this.listen(this.banner, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.returnFocus) this.close();
+        });
+
+        if (analytics.consent === null) {
+            this.open();
+        }
+    }
+
+    // Opening from a trigger moves focus into the banner; the first visit
+    // leaves focus alone so the banner does not interrupt reading
+    open(trigger = null) {
+        this.returnFocus = trigger;
+        this.buttons.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.consent === analytics.consent));
+        });
+        this.banner.hidden = false;
+
+        if (trigger) {
+            this.banner.querySelector('[data-consent="granted"]')?.focus();
+        }
+    }
+
+    close() {
+        this.banner.hidden = true;
+        this.returnFocus?.focus();
+        this.returnFocus = null;
+    }
+}
@@ -0,0 +1,509 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+import { LeadTransport } from '../leads/transport.js';
+import { createSubmissionId, getLeadOutbox } from '../leads/outbox.js';
+import { SpamGuard } from '../leads/anti-spam.js';
+import { FormValidator } from '../validation/validator.js';
+import { FORM_SCHEMAS } from '../validation/schemas.js';
+
+// Form Controller
+// Validation rules come from the markup plus the schema named by the form's
+// data-schema (src/validation/schemas.js). Every invalid field gets its own
+// message linked through aria-describedby, and a summary of all problems
+// sits at the top of the form until they are fixed.
+export class FormController extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.form = element;
+        
+        this.submitButton = this.form.querySelector('button[type="submit"]');
+        this.loadingSpan = this.form.querySelector('.btn-loading');
+        this.transport = new LeadTransport({
+            endpoint: this.form.dataset.endpoint
+        });
+        this.outbox = getLeadOutbox();
+        this.spamGuard = new SpamGuard(this.form);
+        this.validator = new FormValidator(this.form, FORM_SCHEMAS[this.form.dataset.schema]);
+        this.errors = new Map();
+        this.pendingChecks = new Map();
+        this.summary = null;
+        // Hides the success or error message after a while
+        this.messageTimer = null;
+        
+        this.init();
+    }
+
+    init() {
+        this.listen(this.outbox, 'sent', (e) => {
+            const { entry, at } = e.detail;
+            this.showSuccess(i18n.t('form.outbox.sent', {
+                queuedAt: i18n.formatTime(entry.queuedAt),
+                sentAt: i18n.formatTime(at)
+            }), null);
+        });
+
+        this.listen(this.outbox, 'failed', (e) => {
+            const { entry } = e.detail;
+            this.showError(i18n.t('form.outbox.failed', { queuedAt: i18n.formatTime(entry.queuedAt) }));
+        });
+
+        this.onDestroy(() => this.spamGuard.destroy());
+        this.onDestroy(() => clearTimeout(this.messageTimer));
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+
+        // Hidden fields added by prefill() belong to a single request
+        this.form.addEventListener('reset', () => {
+            this.form.querySelectorAll('input[data-prefilled]').forEach(field => field.remove());
+            this.clearErrors();
+        });
+
+        // Real-time validation: when leaving a field, and while it is being
+        // corrected once it has an error
+        const inputs = this.form.querySelectorAll('input, select, textarea');
+        inputs.forEach(input => {
+            input.addEventListener('blur', () => {
+                this.validateField(input);
+            });
+            input.addEventListener('input', () => {
+                if (this.errors.has(input.name)) {
+                    this.validateField(input);
+                }
+            });
+        });
+
+        this.form.addEventListener('click', (e) => {
+            const link = e.target.closest('.form-error-summary a');
+            if (!link) return;
+            e.preventDefault();
+            this.validator.fieldsFor(link.dataset.field)[0]?.focus();
+        });
+
+        this.listen(i18n, 'localechange', () => this.renderErrors());
+    }
+
+    // Fills the form on behalf of another component (e.g. the pricing
+    // calculator). Names without a matching field are sent as hidden inputs.
+    prefill(values) {
+        Object.entries(values).forEach(([name, value]) => {
+            let field = this.form.elements.namedItem(name);
+
+            if (!field) {
+                field = document.createElement('input');
+                field.type = 'hidden';
+                field.name = name;
+                field.dataset.prefilled = '';
+                this.form.appendChild(field);
+            }
+
+            field.value = value;
+            this.setFieldError(name, null);
+        });
+    }
+
+    focusFirstEmpty() {
+        // Fields on steps the booking wizard keeps hidden can't take focus
+        const fields = [...this.form.querySelectorAll('input:not([type="hidden"]), select, textarea')]
+            .filter(field => !field.closest('[hidden]'));
+        const target = fields.find(field => field.required && !field.value.trim()) || fields[0];
+        target?.focus({ preventScroll: true });
+    }
+
+    // Resolves to true when the field passes. Only the latest check of a field
+    // updates its message, so a slow async rule can't undo a newer result.
+    async validateField(field) {
+        const name = field.name;
+        if (!name || !this.validator.hasRules(name)) return true;
+
+        const check = {};
+        this.pendingChecks.set(name, check);
+
+        let error = null;
+        try {
+            error = await this.validator.validate(name, this.readData());
+        } catch (validationError) {
+            this.reportError(validationError, { field: name });
+        }
+
+        if (this.destroyed || this.pendingChecks.get(name) !== check) {
+            return !error;
+        }
+        this.pendingChecks.delete(name);
+        this.setFieldError(name, error);
+
+        return !error;
+    }
+
+    // Validates the given fields (the whole form by default), refreshes the
+    // summary and resolves to the first field of every name that failed
+    async validateFields(fields = [...this.form.elements]) {
+        const names = [...new Set(fields.map(field => field.name).filter(Boolean))];
+        const results = await Promise.all(names.map(name => (
+            this.validateField(this.validator.fieldsFor(name)[0])
+        )));
+
+        this.renderSummary();
+
+        return names
+            .filter((name, index) => !results[index])
+            .map(name => this.validator.fieldsFor(name)[0]);
+    }
+
+    // `error` is a validator result, `{ text }` for messages from the server,
+    // or null to clear the field
+    setFieldError(name, error) {
+        const fields = this.validator.fieldsFor(name);
+        if (fields.length === 0) return;
+
+        const [field] = fields;
+        const messageId = `${field.id || name}-error`;
+
+        if (error) {
+            this.errors.set(name, error);
+        } else {
+            this.errors.delete(name);
+        }
+
+        fields.forEach(element => {
+            element.classList.toggle('error', Boolean(error));
+            if (error) {
+                element.setAttribute('aria-invalid', 'true');
+            } else {
+                element.removeAttribute('aria-invalid');
+            }
+
+            const describedBy = (element.getAttribute('aria-describedby') || '')
+                .split(/\s+/)
+                .filter(id => id && id !== messageId);
+            if (error) describedBy.push(messageId);
+
+            if (describedBy.length > 0) {
+                element.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                element.removeAttribute('aria-describedby');
+            }
+        });
+
+        let message = document.getElementById(messageId);
+        if (error && !message) {
+            message = document.createElement('p');
+            message.className = 'field-error';
+            message.id = messageId;
+            (field.closest('.form-group, fieldset') || field.parentElement).appendChild(message);
+        }
+
+        if (error) {
+            message.textContent = this.messageFor(error);
+        } else {
+            message?.remove();
+        }
+
+        if (this.summary) {
+            this.renderSummary();
+        }
+    }
+
+    messageFor(error) {
+        return error.text ?? i18n.t(error.key, error.params);
+    }
+
+    labelFor(name) {
+        const key = this.validator.labelFor(name);
+        if (key) return i18n.t(key);
+
+        const [field] = this.validator.fieldsFor(name);
+        const label = (field.id && this.form.querySelector(`label[for="${field.id}"]`))
+            || field.closest('fieldset')?.querySelector('legend');
+        return label ? label.textContent.trim() : name;
+    }
+
+    renderSummary() {
+        if (this.errors.size === 0) {
+            this.summary?.remove();
+            this.summary = null;
+            return;
+        }
+
+        // In document order, whatever order the checks finished in
+        const items = [...this.errors.keys()]
+            .map(name => ({ name, field: this.validator.fieldsFor(name)[0] }))
+            .sort((a, b) => (a.field.compareDocumentPosition(b.field) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+            .map(({ name, field }) => ({
+                name,
+                id: field.id,
+                text: `${this.labelFor(name)}: ${this.messageFor(this.errors.get(name))}`
+            }));
+
+        // The summary is a live region: only touch it when its content changes
+        const signature = JSON.stringify(items);
+        if (this.summary?.dataset.signature === signature) return;
+
+        if (!this.summary) {
+            this.summary = document.createElement('div');
+            this.summary.className = 'form-error-summary';
+            this.summary.setAttribute('role', 'alert');
+            const heading = this.form.querySelector('h3');
+            if (heading) {
+                heading.after(this.summary);
+            } else {
+                this.form.prepend(this.summary);
+            }
+        }
+
+        const title = document.createElement('p');
+        title.className = 'form-error-summary-title';
+        title.textContent = i18n.t('validation.summary', { count: items.length });
+
+        const list = document.createElement('ul');
+        items.forEach(({ name, id, text }) => {
+            const link = document.createElement('a');
+            link.href = id ? `#${id}` : '#';
+            link.dataset.field = name;
+            link.textContent = text;
+            const item = document.createElement('li');
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+
+        this.summary.dataset.signature = signature;
+        this.summary.replaceChildren(title, list);
+    }
+
+    // Re-translates messages and the summary after a locale change
+    renderErrors() {
+        this.errors.forEach((error, name) => this.setFieldError(name, error));
+        this.renderSummary();
+    }
+
+    clearErrors() {
+        this.pendingChecks.clear();
+        [...this.errors.keys()].forEach(name => this.setFieldError(name, null));
+        this.renderSummary();
+    }
+
+    async handleSubmit() {
+        // A cancelled `beforesubmit` holds the submission back, e.g. while the
+        // booking wizard has steps left
+        if (!this.form.dispatchEvent(new CustomEvent('beforesubmit', { cancelable: true }))) {
+            return;
+        }
+
+        // Validate all fields
+        const invalid = await this.validateFields();
+        if (this.destroyed) return;
+
+        if (invalid.length > 0) {
+            this.removeMessages();
+            this.reportResult('invalid');
+            invalid[0].focus();
+            return;
+        }
+
+        try {
+            this.spamGuard.check();
+        } catch (error) {
+            this.handleSpamCheck(error);
+            return;
+        }
+
+        const submissionId = createSubmissionId();
+        const data = this.spamGuard.strip(this.readData());
+
+        // The proof of work may still be running in its worker
+        this.setLoadingState(true);
+        try {
+            data.antispam = await this.spamGuard.collect(submissionId);
+        } catch (error) {
+            this.showError(i18n.t('form.errors.generic'));
+            this.reportResult('error');
+            this.reportError(error, { phase: 'antispam' });
+            return;
+        } finally {
+            this.setLoadingState(false);
+        }
+        if (this.destroyed) return;
+
+        if (!navigator.onLine && this.outbox.isSupported) {
+            await this.queueSubmission(submissionId, data);
+            return;
+        }
+
+        // Show loading state
+        this.setLoadingState(true);
+
+        try {
+            await this.transport.submit(data, { submissionId });
+            this.completeSubmission();
+            
+            // Show success message
+            this.showSuccess(i18n.t('form.success'));
+            this.reportResult('success');
+            this.form.reset();
+            
+        } catch (error) {
+            const fieldErrors = error.fieldErrors || {};
+            if (Object.keys(fieldErrors).length > 0) {
+                this.spamGuard.discardProof();
+                this.applyFieldErrors(fieldErrors);
+                this.reportResult('rejected');
+            } else if (error.retryable && this.outbox.isSupported) {
+                await this.queueSubmission(submissionId, data);
+            } else {
+                this.spamGuard.discardProof();
+                this.showError(i18n.t('form.errors.generic'));
+                this.reportResult('error');
+                this.reportError(error, { status: error.status ?? null, endpoint: this.transport.endpoint });
+            }
+        } finally {
+            this.setLoadingState(false);
+        }
+    }
+
+    // Only a lead that was accepted or queued counts towards the rate limit
+    // and starts the clock over; a failed one can be corrected and resent
+    completeSubmission() {
+        this.spamGuard.recordSubmission();
+        this.spamGuard.reset();
+    }
+
+    handleSpamCheck(error) {
+        // A bot that filled the honeypot is told it succeeded, so it doesn't retry
+        if (error.reason === 'honeypot') {
+            this.showSuccess(i18n.t('form.success'));
+            this.form.reset();
+        } else if (error.reason === 'rate-limited') {
+            this.showError(i18n.t('form.errors.rateLimited', { time: i18n.formatTime(error.retryAt) }));
+        } else {
+            this.showError(i18n.t('form.errors.tooFast'));
+        }
+
+        this.reportResult('blocked');
+    }
+
+    // Checkbox groups are collected into arrays, empty when nothing is checked
+    readData() {
+        const data = {};
+
+        this.form.querySelectorAll('input[type="checkbox"][name]').forEach(field => {
+            data[field.name] = [];
+        });
+
+        new FormData(this.form).forEach((value, name) => {
+            data[name] = Array.isArray(data[name]) ? [...data[name], value] : value;
+        });
+
+        return data;
+    }
+
+    async queueSubmission(submissionId, data) {
+        try {
+            await this.outbox.queue(submissionId, this.transport.endpoint, data);
+        } catch (error) {
+            this.spamGuard.discardProof();
+            this.showError(i18n.t('form.errors.generic'));
+            this.reportResult('error');
+            this.reportError(error, { phase: 'outbox' });
+            return;
+        }
+
+        this.completeSubmission();
+        this.reportResult('queued');
+        this.form.reset();
+        this.showInfo(i18n.t('form.outbox.queued'));
+    }
+
+    // Bubbling `formresult` event: invalid, blocked (anti-spam checks),
+    // rejected (server field errors), success, queued or error
+    reportResult(result) {
+        this.form.dispatchEvent(new CustomEvent('formresult', {
+            bubbles: true,
+            detail: { result }
+        }));
+    }
+
+    applyFieldErrors(fieldErrors) {
+        const unmatched = [];
+
+        Object.entries(fieldErrors).forEach(([fieldName, message]) => {
+            if (this.validator.fieldsFor(fieldName).length > 0) {
+                this.setFieldError(fieldName, { text: message });
+            } else {
+                unmatched.push(message);
+            }
+        });
+
+        this.renderSummary();
+        if (unmatched.length > 0) {
+            this.showError(unmatched.join(' '));
+        }
+
+        this.form.querySelector('[aria-invalid="true"]')?.focus();
+    }
+
+    setLoadingState(isLoading) {
+        if (isLoading) {
+            this.submitButton.disabled = true;
+            this.loadingSpan.style.display = 'inline';
+            this.submitButton.querySelector('span:not(.btn-loading)').style.display = 'none';
+        } else {
+            this.submitButton.disabled = false;
+            this.loadingSpan.style.display = 'none';
+            this.submitButton.querySelector('span:not(.btn-loading)').style.display = 'inline';
+        }
+    }
+
+    showSuccess(message, duration = 5000) {
+        this.removeMessages();
+        const successDiv = document.createElement('div');
+        successDiv.className = 'success-message';
+        successDiv.setAttribute('role', 'status');
+        successDiv.textContent = message;
+        this.form.appendChild(successDiv);
+        
+        if (duration) {
+            this.messageTimer = setTimeout(() => {
+                successDiv.remove();
+            }, duration);
+        }
+    }
+
+    showInfo(message) {
+        this.removeMessages();
+        const infoDiv = document.createElement('div');
+        infoDiv.className = 'info-message';
+        infoDiv.setAttribute('role', 'status');
+        infoDiv.textContent = message;
+        this.form.appendChild(infoDiv);
+    }
+
+    showError(message) {
+        this.removeMessages();
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-message';
+        errorDiv.style.cssText = `
+            background: var(--error-50);
+            color: var(--error-800);
+            padding: var(--space-4);
+            border-radius: var(--radius-lg);
+            border: 1px solid var(--error-200);
+            text-align: center;
+            margin-top: var(--space-4);
+        `;
+        errorDiv.textContent = message;
+        this.form.appendChild(errorDiv);
+        
+        this.messageTimer = setTimeout(() => {
+            errorDiv.remove();
+        }, 5000);
+    }
+
+    removeMessages() {
+        clearTimeout(this.messageTimer);
+        this.messageTimer = null;
+        const messages = this.form.querySelectorAll('.success-message, .error-message, .info-message');
+        messages.forEach(message => message.remove());
+    }
+}
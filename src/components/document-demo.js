@@ -0,0 +1,363 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+import { downloadBlob } from '../core/utils.js';
+import { DocumentStore } from '../documents/document-store.js';
+import { diffLines, diffStats, diffWords, sideBySide } from '../documents/diff.js';
+
+// Documents Demo
+// The file list in the "Documents" feature tab, driven by DocumentStore
+// (data-documents-src). "History" opens the dialog.doc-history inside the
+// element: a timeline of versions to pick from and a diff of any two of
+// them, side by side or inline. "Download" saves the picked version (the
+// latest until another one is picked) as a Blob.
+const RELATIVE_UNITS = [
+    ['day', 1440],
+    ['hour', 60],
+    ['minute', 1]
+];
+
+export class DocumentDemo extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.list = element.querySelector('.documents-view');
+        this.dialog = element.querySelector('.doc-history');
+
+        this.store = null;
+        this.selected = new Map();
+        this.openId = null;
+        this.compare = { from: null, to: null };
+        this.mode = 'split';
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            [this.store] = await Promise.all([
+                DocumentStore.load(this.element.dataset.documentsSrc),
+                i18n.ready
+            ]);
+        } catch (error) {
+            // The static markup stays as it is
+            console.warn('Documents demo unavailable:', error);
+            this.reportError(error, { phase: 'load' });
+            return;
+        }
+        if (this.destroyed) return;
+
+        this.store.list().forEach(doc => this.selected.set(doc.id, this.store.latest(doc.id).id));
+
+        this.listen(this.list, 'click', (e) => {
+            const button = e.target.closest('[data-doc-action]');
+            if (!button) return;
+
+            const { docAction, docId } = button.dataset;
+            if (docAction === 'download') {
+                this.download(docId, this.selected.get(docId));
+            } else {
+                this.open(docId);
+            }
+        });
+
+        this.setupDialog();
+        this.listen(i18n, 'localechange', () => {
+            this.renderList();
+            if (this.openId) this.renderDialog();
+        });
+
+        this.renderList();
+    }
+
+    setupDialog() {
+        this.timeline = this.dialog.querySelector('.version-timeline');
+        this.fromSelect = this.dialog.querySelector('[data-doc="from"]');
+        this.toSelect = this.dialog.querySelector('[data-doc="to"]');
+        this.diffOutput = this.dialog.querySelector('.doc-diff');
+
+        this.listen(this.dialog.querySelector('[data-doc="close"]'), 'click', () => this.dialog.close());
+        this.listen(this.dialog.querySelector('[data-doc="download"]'), 'click', () => {
+            this.download(this.openId, this.selected.get(this.openId));
+        });
+
+        // A click on the backdrop lands on the dialog element itself
+        this.listen(this.dialog, 'click', (e) => {
+            if (e.target === this.dialog) this.dialog.close();
+        });
+
+        // The list may have been re-rendered meanwhile, so look the button up again
+        this.listen(this.dialog, 'close', () => {
+            this.list.querySelector(`[data-doc-action="history"][data-doc-id="${this.openId}"]`)?.focus();
+            this.openId = null;
+        });
+
+        this.listen(this.timeline, 'click', (e) => {
+            const button = e.target.closest('[data-version]');
+            if (button) this.select(button.dataset.version);
+        });
+
+        this.listen(this.fromSelect, 'change', () => {
+            this.compare.from = this.fromSelect.value;
+            this.renderDiff();
+        });
+        this.listen(this.toSelect, 'change', () => {
+            this.compare.to = this.toSelect.value;
+            this.renderDiff();
+        });
+
+        this.dialog.querySelectorAll('[data-diff-mode]').forEach(button => {
+            this.listen(button, 'click', () => {
+                this.mode = button.dataset.diffMode;
+                this.renderDiff();
+            });
+        });
+
+        this.onDestroy(() => {
+            if (this.dialog.open) this.dialog.close();
+        });
+    }
+
+    docName(doc) {
+        return i18n.t(doc.nameKey);
+    }
+
+    formatRelative(timestamp) {
+        const minutes = Math.round((timestamp - Date.now()) / 60000);
+        const [unit, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(minutes) >= size) ?? RELATIVE_UNITS.at(-1);
+        return new Intl.RelativeTimeFormat(i18n.locale, { numeric: 'auto' }).format(Math.round(minutes / size), unit);
+    }
+
+    formatDate(timestamp) {
+        return new Intl.DateTimeFormat(i18n.locale, {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        }).format(timestamp);
+    }
+
+    renderList() {
+        this.list.replaceChildren(...this.store.list().map(doc => {
+            const version = this.store.version(doc.id, this.selected.get(doc.id));
+            const name = this.docName(doc);
+
+            const item = document.createElement('div');
+            item.className = 'document-item';
+            item.innerHTML = `
+                <div class="doc-icon" aria-hidden="true"></div>
+                <div class="doc-info">
+                    <h5></h5>
+                    <span></span>
+                </div>
+                <div class="doc-actions">
+                    <button type="button" class="doc-btn" data-doc-action="download" data-track="document-download"></button>
+                    <button type="button" class="doc-btn" data-doc-action="history" data-track="document-history" aria-haspopup="dialog"></button>
+                </div>
+            `;
+            item.querySelector('.doc-icon').textContent = doc.icon;
+            item.querySelector('h5').textContent = name;
+            item.querySelector('.doc-info span').textContent = i18n.t('documents.meta', {
+                version: version.version,
+                time: this.formatRelative(version.createdAt)
+            });
+
+            const [download, history] = item.querySelectorAll('.doc-btn');
+            download.dataset.docId = doc.id;
+            download.textContent = i18n.t('features.documents.download');
+            download.setAttribute('aria-label', i18n.t('documents.downloadVersion', { name, version: version.version }));
+            history.dataset.docId = doc.id;
+            history.textContent = i18n.t('features.documents.history');
+            history.setAttribute('aria-label', i18n.t('documents.historyOf', { name }));
+
+            return item;
+        }));
+    }
+
+    open(id) {
+        const selected = this.selected.get(id);
+
+        this.openId = id;
+        this.compare = {
+            from: this.store.previous(id, selected)?.id ?? selected,
+            to: selected
+        };
+
+        this.renderDialog();
+        if (!this.dialog.open) this.dialog.showModal();
+        this.timeline.querySelector('[aria-pressed="true"]')?.focus();
+    }
+
+    select(versionId) {
+        this.selected.set(this.openId, versionId);
+        this.compare = {
+            from: this.store.previous(this.openId, versionId)?.id ?? versionId,
+            to: versionId
+        };
+
+        this.renderDialog();
+        this.renderList();
+        this.timeline.querySelector(`[data-version="${versionId}"]`)?.focus();
+    }
+
+    renderDialog() {
+        const doc = this.store.get(this.openId);
+        const selected = this.store.version(doc.id, this.selected.get(doc.id));
+        const versions = [...doc.versions].reverse();
+
+        this.dialog.querySelector('.doc-history-title').textContent = i18n.t('documents.historyOf', { name: this.docName(doc) });
+
+        this.timeline.replaceChildren(...versions.map((version, index) => {
+            const item = document.createElement('li');
+            item.className = 'version-item';
+            item.innerHTML = `
+                <button type="button" class="version-select">
+                    <span class="version-number"></span>
+                    <span class="version-note"></span>
+                    <span class="version-meta"><span class="version-author"></span> • <time></time></span>
+                </button>
+            `;
+
+            const button = item.querySelector('button');
+            button.dataset.version = version.id;
+            button.setAttribute('aria-pressed', String(version === selected));
+            item.querySelector('.version-number').textContent = index === 0
+                ? i18n.t('documents.latest', { version: version.version })
+                : `v${version.version}`;
+            item.querySelector('.version-note').textContent = this.store.note(version, i18n.locale);
+            item.querySelector('.version-author').textContent = this.store.authorName(version.author, i18n.locale);
+
+            const time = item.querySelector('time');
+            time.dateTime = new Date(version.createdAt).toISOString();
+            time.textContent = this.formatDate(version.createdAt);
+
+            return item;
+        }));
+
+        [this.fromSelect, this.toSelect].forEach(select => {
+            select.replaceChildren(...versions.map(version => {
+                const option = document.createElement('option');
+                option.value = version.id;
+                option.textContent = `v${version.version} — ${this.store.note(version, i18n.locale)}`;
+                return option;
+            }));
+        });
+
+        this.dialog.querySelector('[data-doc="download"]').textContent = i18n.t('documents.downloadVersion', {
+            name: this.docName(doc),
+            version: selected.version
+        });
+
+        this.renderDiff();
+    }
+
+    renderDiff() {
+        const from = this.store.version(this.openId, this.compare.from);
+        const to = this.store.version(this.openId, this.compare.to);
+
+        this.fromSelect.value = from.id;
+        this.toSelect.value = to.id;
+        this.dialog.querySelectorAll('[data-diff-mode]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.diffMode === this.mode));
+        });
+
+        const ops = diffLines(this.store.content(from, i18n.locale), this.store.content(to, i18n.locale));
+        const { added, removed } = diffStats(ops);
+
+        this.dialog.querySelector('.doc-diff-stats').textContent = from === to
+            ? i18n.t('documents.compare.same')
+            : i18n.t('documents.compare.stats', { from: from.version, to: to.version, added, removed });
+
+        const table = document.createElement('table');
+        table.className = `diff-table diff-${this.mode}`;
+        const caption = document.createElement('caption');
+        caption.className = 'sr-only';
+        caption.textContent = i18n.t('documents.compare.caption', { from: from.version, to: to.version });
+        table.appendChild(caption);
+
+        const body = document.createElement('tbody');
+        if (this.mode === 'split') {
+            sideBySide(ops).forEach(row => body.appendChild(this.renderSplitRow(row)));
+        } else {
+            ops.forEach(op => body.appendChild(this.renderInlineRow(op)));
+        }
+        table.appendChild(body);
+
+        this.diffOutput.replaceChildren(table);
+    }
+
+    renderSplitRow({ left, right }) {
+        const row = document.createElement('tr');
+
+        // Lines changed in place get word-level marks on both sides
+        const words = left && right && left !== right ? diffWords(left.value, right.value) : null;
+
+        row.append(
+            lineNumber(left?.oldLine),
+            this.lineCell(left, words && words.filter(op => op.type !== 'insert')),
+            lineNumber(right?.newLine),
+            this.lineCell(right, words && words.filter(op => op.type !== 'delete'))
+        );
+
+        return row;
+    }
+
+    renderInlineRow(op) {
+        const row = document.createElement('tr');
+        row.append(lineNumber(op.oldLine), lineNumber(op.newLine), this.lineCell(op));
+        return row;
+    }
+
+    lineCell(op, words = null) {
+        const cell = document.createElement('td');
+        cell.className = 'diff-line';
+        if (!op) {
+            cell.classList.add('diff-empty');
+            return cell;
+        }
+
+        cell.classList.add(`diff-${op.type}`);
+        if (op.type === 'equal') {
+            cell.textContent = op.value;
+            return cell;
+        }
+
+        const label = document.createElement('span');
+        label.className = 'sr-only';
+        label.textContent = i18n.t(op.type === 'insert' ? 'documents.compare.added' : 'documents.compare.removed');
+
+        const tag = op.type === 'insert' ? 'ins' : 'del';
+        const content = document.createElement(words ? 'span' : tag);
+        if (words) {
+            words.forEach(word => {
+                if (word.type === 'equal') {
+                    content.append(word.value);
+                } else {
+                    const mark = document.createElement(tag);
+                    mark.textContent = word.value;
+                    content.appendChild(mark);
+                }
+            });
+        } else {
+            content.textContent = op.value;
+        }
+
+        cell.append(label, content);
+        return cell;
+    }
+
+    download(id, versionId) {
+        const doc = this.store.get(id);
+        const version = this.store.version(id, versionId);
+        downloadBlob(
+            this.store.blob(doc, version, i18n.locale),
+            this.store.filename(doc, version, this.docName(doc))
+        );
+    }
+}
+
+function lineNumber(number) {
+    const cell = document.createElement('td');
+    cell.className = 'diff-num';
+    cell.setAttribute('aria-hidden', 'true');
+    cell.textContent = number ?? '';
+    return cell;
+}
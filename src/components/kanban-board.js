@@ -0,0 +1,512 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+
+// Kanban Board Demo
+// Interactive board in the "Tasks" feature tab. Cards can be added, edited,
+// deleted and moved between columns by pointer/touch drag or by keyboard
+// (Space to pick up, arrows to move, Space to drop, Escape to cancel).
+// State persists in localStorage until the visitor resets the demo.
+const KANBAN_COLUMNS = [
+    { id: 'todo', titleKey: 'features.tasks.columns.todo' },
+    { id: 'inProgress', titleKey: 'features.tasks.columns.inProgress' },
+    { id: 'done', titleKey: 'features.tasks.columns.done' }
+];
+
+const KANBAN_PRIORITIES = ['high', 'medium', 'low'];
+
+const KANBAN_DEFAULT_CARDS = [
+    { id: 'demo-1', titleKey: 'features.tasks.demo.task1', priority: 'high', column: 'todo' },
+    { id: 'demo-2', titleKey: 'features.tasks.demo.task2', priority: 'medium', column: 'todo' },
+    { id: 'demo-3', titleKey: 'features.tasks.demo.task3', priority: 'high', column: 'inProgress' },
+    { id: 'demo-4', titleKey: 'features.tasks.demo.task4', priority: 'low', column: 'done' }
+];
+
+let kanbanIdCounter = 0;
+
+export class KanbanBoard extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.board = element;
+
+        this.storageKey = this.options.storageKey || 'hermes-kanban';
+        this.cards = this.load();
+        this.editing = null;
+        this.grabbed = null;
+        this.drag = null;
+
+        this.init();
+    }
+
+    init() {
+        this.board.setAttribute('role', 'region');
+        this.board.classList.add('kanban');
+
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'kanban-toolbar';
+        this.resetButton = document.createElement('button');
+        this.resetButton.type = 'button';
+        this.resetButton.className = 'kanban-reset';
+        this.resetButton.addEventListener('click', () => this.reset());
+        this.toolbar.appendChild(this.resetButton);
+
+        this.columnsElement = document.createElement('div');
+        this.columnsElement.className = 'kanban-columns';
+
+        this.hint = document.createElement('p');
+        this.hint.id = `kanban-hint-${++kanbanIdCounter}`;
+        this.hint.className = 'sr-only';
+
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('aria-live', 'assertive');
+
+        this.board.replaceChildren(this.toolbar, this.columnsElement, this.hint, this.liveRegion);
+
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+
+        i18n.ready.then(() => {
+            if (this.destroyed) return;
+            this.render();
+            this.listen(i18n, 'localechange', () => this.render());
+        });
+
+        // Drop an unfinished drag along with its window listeners
+        this.onDestroy(() => this.handlePointerUp());
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (Array.isArray(saved?.cards)) {
+                return saved.cards;
+            }
+        } catch (error) {
+            // Corrupt or unavailable storage falls back to the demo cards
+        }
+        return KANBAN_DEFAULT_CARDS.map(card => ({ ...card }));
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, cards: this.cards }));
+        } catch (error) {
+            // The board keeps working for this visit without persistence
+        }
+    }
+
+    reset() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Nothing persisted to clear
+        }
+        this.cards = KANBAN_DEFAULT_CARDS.map(card => ({ ...card }));
+        this.editing = null;
+        this.grabbed = null;
+        this.render();
+        this.announce(i18n.t('features.tasks.board.resetDone'));
+    }
+
+    titleOf(card) {
+        return card.titleKey ? i18n.t(card.titleKey) : card.title;
+    }
+
+    columnTitle(columnId) {
+        return i18n.t(KANBAN_COLUMNS.find(column => column.id === columnId).titleKey);
+    }
+
+    cardsIn(columnId) {
+        return this.cards.filter(card => card.column === columnId);
+    }
+
+    announce(message) {
+        this.liveRegion.textContent = message;
+    }
+
+    render() {
+        this.board.setAttribute('aria-label', i18n.t('features.tasks.board.label'));
+        this.resetButton.textContent = i18n.t('features.tasks.board.reset');
+        this.hint.textContent = i18n.t('features.tasks.board.hint');
+
+        this.columnsElement.replaceChildren(...KANBAN_COLUMNS.map(column => this.renderColumn(column)));
+    }
+
+    renderColumn(column) {
+        const section = document.createElement('section');
+        section.className = 'task-column';
+        section.setAttribute('aria-labelledby', `kanban-column-${column.id}`);
+
+        const heading = document.createElement('h4');
+        heading.id = `kanban-column-${column.id}`;
+        heading.textContent = this.columnTitle(column.id);
+
+        const count = document.createElement('span');
+        count.className = 'task-count';
+        count.textContent = this.cardsIn(column.id).length;
+        heading.append(' ', count);
+
+        const list = document.createElement('ul');
+        list.className = 'task-list';
+        list.dataset.column = column.id;
+
+        this.cardsIn(column.id).forEach(card => {
+            list.appendChild(this.editing === card.id ? this.renderEditor(card) : this.renderCard(card));
+        });
+
+        if (this.editing === `new:${column.id}`) {
+            list.appendChild(this.renderEditor({ column: column.id, priority: 'medium', title: '' }));
+        }
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'task-add';
+        addButton.textContent = `+ ${i18n.t('features.tasks.board.add')}`;
+        addButton.addEventListener('click', () => this.startEditing(`new:${column.id}`));
+
+        section.append(heading, list, addButton);
+        return section;
+    }
+
+    renderCard(card) {
+        const item = document.createElement('li');
+        item.className = `task-item ${card.column === 'done' ? 'completed' : `${card.priority}-priority`}`;
+        item.dataset.id = card.id;
+        item.tabIndex = 0;
+        item.setAttribute('aria-describedby', this.hint.id);
+        item.classList.toggle('grabbed', this.grabbed?.id === card.id);
+
+        const handle = document.createElement('span');
+        handle.className = 'task-handle';
+        handle.setAttribute('aria-hidden', 'true');
+        handle.textContent = '⋮⋮';
+
+        const priority = document.createElement('div');
+        priority.className = 'task-priority';
+        priority.title = i18n.t(`features.tasks.priority.${card.priority}`);
+
+        const title = document.createElement('span');
+        title.className = 'task-title';
+        title.textContent = this.titleOf(card);
+
+        const actions = document.createElement('div');
+        actions.className = 'task-actions';
+        actions.append(
+            this.createActionButton('✎', 'features.tasks.board.edit', () => this.startEditing(card.id)),
+            this.createActionButton('×', 'features.tasks.board.delete', () => this.deleteCard(card.id))
+        );
+
+        item.append(handle, priority, title, actions);
+
+        item.addEventListener('keydown', (e) => this.handleCardKeydown(e, card));
+        item.addEventListener('pointerdown', (e) => this.handlePointerDown(e, item, card));
+
+        return item;
+    }
+
+    createActionButton(symbol, labelKey, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'task-action';
+        button.textContent = symbol;
+        button.setAttribute('aria-label', i18n.t(labelKey));
+        button.title = i18n.t(labelKey);
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    renderEditor(card) {
+        const item = document.createElement('li');
+        item.className = 'task-editor';
+
+        const form = document.createElement('form');
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.required = true;
+        input.maxLength = 80;
+        input.value = card.id ? this.titleOf(card) : '';
+        input.setAttribute('aria-label', i18n.t('features.tasks.board.titleLabel'));
+        input.placeholder = i18n.t('features.tasks.board.titleLabel');
+
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', i18n.t('features.tasks.board.priorityLabel'));
+        KANBAN_PRIORITIES.forEach(priority => {
+            const option = document.createElement('option');
+            option.value = priority;
+            option.textContent = i18n.t(`features.tasks.priority.${priority}`);
+            option.selected = priority === card.priority;
+            select.appendChild(option);
+        });
+
+        const save = document.createElement('button');
+        save.type = 'submit';
+        save.className = 'task-editor-save';
+        save.textContent = i18n.t('features.tasks.board.save');
+
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'task-editor-cancel';
+        cancel.textContent = i18n.t('features.tasks.board.cancel');
+        cancel.addEventListener('click', () => this.stopEditing(card.id));
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const title = input.value.trim();
+            if (!title) {
+                input.focus();
+                return;
+            }
+            this.saveCard(card, title, select.value);
+        });
+
+        form.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.stopEditing(card.id);
+            }
+        });
+
+        form.append(input, select, save, cancel);
+        item.appendChild(form);
+
+        requestAnimationFrame(() => input.focus());
+        return item;
+    }
+
+    startEditing(target) {
+        this.editing = target;
+        this.render();
+    }
+
+    stopEditing(cardId) {
+        const column = this.editing?.startsWith?.('new:') ? this.editing.slice(4) : null;
+        this.editing = null;
+        this.render();
+
+        if (cardId) {
+            this.focusCard(cardId);
+        } else if (column) {
+            this.columnsElement.querySelector(`[data-column="${column}"]`)?.parentElement.querySelector('.task-add')?.focus();
+        }
+    }
+
+    saveCard(card, title, priority) {
+        if (card.id) {
+            const existing = this.cards.find(item => item.id === card.id);
+            // Editing a demo card detaches it from its translated title
+            if (!existing.titleKey || title !== this.titleOf(existing)) {
+                delete existing.titleKey;
+                existing.title = title;
+            }
+            existing.priority = priority;
+        } else {
+            card = { id: `card-${Date.now().toString(36)}`, title, priority, column: card.column };
+            this.cards.push(card);
+        }
+
+        this.save();
+        this.editing = null;
+        this.render();
+        this.focusCard(card.id);
+    }
+
+    deleteCard(cardId) {
+        const card = this.cards.find(item => item.id === cardId);
+        const column = this.cardsIn(card.column);
+        const next = column[column.indexOf(card) + 1] || column[column.indexOf(card) - 1];
+
+        this.cards = this.cards.filter(item => item.id !== cardId);
+        this.save();
+        this.render();
+        this.announce(i18n.t('features.tasks.board.deleted', { title: this.titleOf(card) }));
+
+        if (next) {
+            this.focusCard(next.id);
+        } else {
+            this.columnsElement.querySelector(`[data-column="${card.column}"]`)?.parentElement.querySelector('.task-add')?.focus();
+        }
+    }
+
+    moveCard(cardId, columnId, index) {
+        const card = this.cards.find(item => item.id === cardId);
+        this.cards = this.cards.filter(item => item.id !== cardId);
+        card.column = columnId;
+
+        const target = this.cardsIn(columnId)[index];
+        const position = target ? this.cards.indexOf(target) : this.cards.length;
+        this.cards.splice(position, 0, card);
+    }
+
+    focusCard(cardId) {
+        this.columnsElement.querySelector(`.task-item[data-id="${cardId}"]`)?.focus();
+    }
+
+    // Keyboard moves
+
+    handleCardKeydown(e, card) {
+        if (e.target !== e.currentTarget) return;
+
+        const isGrabbed = this.grabbed?.id === card.id;
+
+        if (e.key === ' ' || e.key === 'Enter') {
+            e.preventDefault();
+            if (isGrabbed) {
+                this.grabbed = null;
+                this.render();
+                this.focusCard(card.id);
+                this.announce(i18n.t('features.tasks.board.dropped', {
+                    title: this.titleOf(card),
+                    column: this.columnTitle(card.column)
+                }));
+            } else {
+                const column = this.cardsIn(card.column);
+                this.grabbed = { id: card.id, column: card.column, index: column.indexOf(card) };
+                this.render();
+                this.focusCard(card.id);
+                this.announce(i18n.t('features.tasks.board.grabbed', { title: this.titleOf(card) }));
+            }
+            return;
+        }
+
+        if (!isGrabbed) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            const origin = this.grabbed;
+            this.grabbed = null;
+            this.moveCard(card.id, origin.column, origin.index);
+            this.save();
+            this.render();
+            this.focusCard(card.id);
+            this.announce(i18n.t('features.tasks.board.cancelled'));
+            return;
+        }
+
+        const columnIndex = KANBAN_COLUMNS.findIndex(column => column.id === card.column);
+        const index = this.cardsIn(card.column).indexOf(card);
+        let target = null;
+
+        switch (e.key) {
+            case 'ArrowLeft':
+                if (columnIndex > 0) target = { column: KANBAN_COLUMNS[columnIndex - 1].id, index };
+                break;
+            case 'ArrowRight':
+                if (columnIndex < KANBAN_COLUMNS.length - 1) target = { column: KANBAN_COLUMNS[columnIndex + 1].id, index };
+                break;
+            case 'ArrowUp':
+                if (index > 0) target = { column: card.column, index: index - 1 };
+                break;
+            case 'ArrowDown':
+                target = { column: card.column, index: index + 1 };
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        if (!target) return;
+
+        this.moveCard(card.id, target.column, target.index);
+        this.save();
+        this.render();
+        this.focusCard(card.id);
+
+        const column = this.cardsIn(card.column);
+        this.announce(i18n.t('features.tasks.board.moved', {
+            title: this.titleOf(card),
+            column: this.columnTitle(card.column),
+            position: column.indexOf(card) + 1,
+            total: column.length
+        }));
+    }
+
+    // Pointer drag and drop
+
+    handlePointerDown(e, item, card) {
+        if (e.button !== 0 || e.target.closest('button')) return;
+        // Touch and pen drag from the handle only, so the page can still be scrolled
+        if (e.pointerType !== 'mouse' && !e.target.closest('.task-handle')) return;
+
+        this.drag = { card, item, startX: e.clientX, startY: e.clientY, active: false };
+        window.addEventListener('pointermove', this.handlePointerMove);
+        window.addEventListener('pointerup', this.handlePointerUp);
+        window.addEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    handlePointerMove(e) {
+        const { drag } = this;
+        if (!drag) return;
+
+        const dx = e.clientX - drag.startX;
+        const dy = e.clientY - drag.startY;
+
+        if (!drag.active) {
+            if (Math.hypot(dx, dy) < 5) return;
+            this.startDrag();
+        }
+
+        e.preventDefault();
+        drag.item.style.transform = `translate(${dx}px, ${dy}px) rotate(2deg)`;
+
+        const list = document.elementFromPoint(e.clientX, e.clientY)?.closest('.task-list');
+        if (!list || !this.columnsElement.contains(list)) return;
+
+        const siblings = [...list.querySelectorAll('.task-item')].filter(element => element !== drag.item);
+        const before = siblings.find(element => {
+            const rect = element.getBoundingClientRect();
+            return e.clientY < rect.top + rect.height / 2;
+        });
+
+        list.insertBefore(drag.placeholder, before || null);
+    }
+
+    startDrag() {
+        const { drag } = this;
+        const rect = drag.item.getBoundingClientRect();
+
+        drag.active = true;
+        drag.placeholder = document.createElement('li');
+        drag.placeholder.className = 'task-placeholder';
+        drag.placeholder.style.height = `${rect.height}px`;
+        drag.item.after(drag.placeholder);
+
+        Object.assign(drag.item.style, {
+            position: 'fixed',
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            zIndex: 1000,
+            pointerEvents: 'none'
+        });
+        drag.item.classList.add('dragging');
+    }
+
+    handlePointerUp() {
+        const { drag } = this;
+        this.drag = null;
+        window.removeEventListener('pointermove', this.handlePointerMove);
+        window.removeEventListener('pointerup', this.handlePointerUp);
+        window.removeEventListener('pointercancel', this.handlePointerUp);
+
+        if (!drag?.active || this.destroyed) return;
+
+        const list = drag.placeholder.parentElement;
+        let index = 0;
+        for (const element of list.children) {
+            if (element === drag.placeholder) break;
+            if (element.classList.contains('task-item') && element !== drag.item) index++;
+        }
+
+        this.moveCard(drag.card.id, list.dataset.column, index);
+        this.save();
+        this.render();
+        this.announce(i18n.t('features.tasks.board.dropped', {
+            title: this.titleOf(drag.card),
+            column: this.columnTitle(drag.card.column)
+        }));
+    }
+}
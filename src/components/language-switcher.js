@@ -0,0 +1,32 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+
+// Language Switcher
+export class LanguageSwitcher extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.buttons = element.querySelectorAll('.lang-btn[data-locale]');
+        if (this.buttons.length === 0) return;
+
+        this.init();
+    }
+
+    init() {
+        this.buttons.forEach(button => {
+            button.addEventListener('click', () => {
+                i18n.setLocale(button.dataset.locale);
+            });
+        });
+
+        this.update(i18n.locale);
+        this.listen(i18n, 'localechange', (e) => this.update(e.detail.locale));
+    }
+
+    update(locale) {
+        this.buttons.forEach(button => {
+            const isActive = button.dataset.locale === locale;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+}
@@ -0,0 +1,21 @@
+import { Component } from '../core/component.js';
+
+// Progressive image loading for <img data-src>
+export class LazyImage extends Component {
+    constructor(element, options) {
+        super(element, options);
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    element.src = element.dataset.src;
+                    element.classList.remove('lazy');
+                    observer.disconnect();
+                }
+            });
+        });
+
+        observer.observe(element);
+        this.onDestroy(() => observer.disconnect());
+    }
+}
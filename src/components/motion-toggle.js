@@ -0,0 +1,31 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+import { motionGovernor } from '../core/motion.js';
+
+// Motion Toggle
+export class MotionToggle extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.button = element;
+
+        this.init();
+    }
+
+    init() {
+        this.button.addEventListener('click', () => {
+            motionGovernor.setPaused(!motionGovernor.userPaused);
+        });
+
+        this.update();
+        this.listen(motionGovernor, 'motionchange', () => this.update());
+        this.listen(i18n, 'localechange', () => this.update());
+    }
+
+    update() {
+        const { reducedMotion } = motionGovernor;
+
+        this.button.setAttribute('aria-pressed', String(!motionGovernor.motionAllowed));
+        this.button.disabled = reducedMotion;
+        this.button.title = i18n.t(reducedMotion ? 'motion.system' : 'motion.pause');
+    }
+}
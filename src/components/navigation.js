@@ -0,0 +1,197 @@
+import { Component } from '../core/component.js';
+import { scrollScheduler, scrollToSection } from '../core/scroll.js';
+
+// Navigation Controller
+// Active-link highlighting is an IntersectionObserver scrollspy: a section is
+// current while it crosses the band just below the fixed navbar. The navbar
+// height is measured (not assumed) and exposed as --navbar-height so anchor
+// jumps and scrollToSection land below it.
+//
+// On narrow screens the menu is a disclosure: the toggle reports aria-expanded,
+// focus is trapped inside while it is open, and Escape, outside clicks or any
+// anchor change close it and hand focus back to the toggle.
+export class NavigationController extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.navbar = element;
+        this.hamburger = element.querySelector('.hamburger');
+        this.navMenu = element.querySelector('.nav-menu');
+        this.navLinks = element.querySelectorAll('.nav-link');
+        this.sections = document.querySelectorAll('section[id]');
+        this.visibleSections = new Set();
+        this.navbarHeight = null;
+        this.mobileQuery = window.matchMedia('(max-width: 768px)');
+        
+        this.init();
+    }
+
+    init() {
+        // Scroll effect for navbar
+        this.onDestroy(scrollScheduler.subscribe(({ scrollY }) => {
+            this.navbar.classList.toggle('scrolled', scrollY > 100);
+        }));
+
+        // Mobile menu toggle
+        this.hamburger?.addEventListener('click', () => {
+            this.toggleMobileMenu();
+        });
+
+        this.listen(document, 'keydown', (e) => this.handleMenuKeydown(e));
+        this.listen(window, 'hashchange', () => this.closeMobileMenu());
+        this.listen(window, 'popstate', () => this.closeMobileMenu());
+
+        // Leaving the mobile layout must not leave the page scroll-locked
+        this.listen(this.mobileQuery, 'change', (e) => {
+            if (!e.matches) this.closeMobileMenu({ restoreFocus: false });
+        });
+
+        // Smooth scrolling for navigation links
+        this.navLinks.forEach(link => {
+            link.addEventListener('click', (e) => {
+                const href = link.getAttribute('href');
+                if (href && href.startsWith('#')) {
+                    e.preventDefault();
+                    scrollToSection(href.substring(1));
+                    this.closeMobileMenu();
+                }
+            });
+        });
+
+        // Close mobile menu on outside click
+        this.listen(document, 'click', (e) => {
+            if (!this.isMenuOpen()) return;
+            if (this.navMenu?.contains(e.target) || this.hamburger?.contains(e.target)) return;
+            this.closeMobileMenu();
+        });
+
+        // Track the navbar height; the scrollspy band depends on it
+        this.measureNavbar();
+        if ('ResizeObserver' in window) {
+            const resizeObserver = new ResizeObserver(() => this.measureNavbar());
+            resizeObserver.observe(this.navbar);
+            this.onDestroy(() => resizeObserver.disconnect());
+        } else {
+            this.onDestroy(scrollScheduler.subscribe(({ resized }) => {
+                if (resized) this.measureNavbar();
+            }));
+        }
+
+        this.onDestroy(() => {
+            this.sectionObserver?.disconnect();
+            this.closeMobileMenu({ restoreFocus: false });
+        });
+    }
+
+    measureNavbar() {
+        const height = Math.round(this.navbar.getBoundingClientRect().height);
+        if (height === this.navbarHeight) return;
+
+        this.navbarHeight = height;
+        document.documentElement.style.setProperty('--navbar-height', `${height}px`);
+        this.observeSections();
+    }
+
+    observeSections() {
+        if (!('IntersectionObserver' in window)) return;
+
+        this.sectionObserver?.disconnect();
+        this.visibleSections.clear();
+
+        // Band from the navbar's bottom edge to 40% down the viewport
+        this.sectionObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.visibleSections.add(entry.target);
+                } else {
+                    this.visibleSections.delete(entry.target);
+                }
+            });
+            this.updateActiveLink();
+        }, {
+            rootMargin: `-${this.navbarHeight}px 0px -60% 0px`
+        });
+
+        this.sections.forEach(section => this.sectionObserver.observe(section));
+    }
+
+    isMenuOpen() {
+        return Boolean(this.navMenu?.classList.contains('active'));
+    }
+
+    toggleMobileMenu() {
+        if (this.isMenuOpen()) {
+            this.closeMobileMenu();
+        } else {
+            this.openMobileMenu();
+        }
+    }
+
+    openMobileMenu() {
+        if (!this.navMenu || !this.hamburger) return;
+
+        this.navMenu.classList.add('active');
+        this.hamburger.classList.add('active');
+        this.hamburger.setAttribute('aria-expanded', 'true');
+        document.documentElement.classList.add('nav-open');
+
+        this.getMenuFocusables()[0]?.focus({ preventScroll: true });
+    }
+
+    closeMobileMenu({ restoreFocus = true } = {}) {
+        if (!this.isMenuOpen()) return;
+
+        const hadFocus = this.navMenu.contains(document.activeElement);
+
+        this.navMenu.classList.remove('active');
+        this.hamburger?.classList.remove('active');
+        this.hamburger?.setAttribute('aria-expanded', 'false');
+        document.documentElement.classList.remove('nav-open');
+
+        if (restoreFocus && hadFocus) {
+            this.hamburger?.focus({ preventScroll: true });
+        }
+    }
+
+    getMenuFocusables() {
+        return [...this.navMenu.querySelectorAll('a[href], button:not([disabled])')];
+    }
+
+    handleMenuKeydown(e) {
+        if (!this.isMenuOpen()) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeMobileMenu({ restoreFocus: false });
+            this.hamburger?.focus();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        // Cycle between the toggle and the menu items only
+        const focusables = [this.hamburger, ...this.getMenuFocusables()].filter(Boolean);
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+
+        if (!focusables.includes(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    updateActiveLink() {
+        // The first visible section in document order is the one under the navbar
+        const current = [...this.sections].find(section => this.visibleSections.has(section));
+        if (!current) return;
+
+        this.navLinks.forEach(link => {
+            link.classList.toggle('active', link.getAttribute('href') === `#${current.id}`);
+        });
+    }
+}
@@ -0,0 +1,194 @@
+import { Component } from '../core/component.js';
+import { motionGovernor } from '../core/motion.js';
+import { scrollScheduler } from '../core/scroll.js';
+import { themeManager } from '../core/theme.js';
+
+// Particle System for Hero Background
+// The network itself lives in src/particles/. It renders off the main thread
+// through an OffscreenCanvas where the browser allows it, and otherwise the
+// same module is loaded and run here. Behaviour is set with data-particle-*
+// attributes on .hero-background (see readOptions). Colours default to the
+// --particle-color and --particle-line-color theme tokens; an attribute may
+// name another custom property or give a literal colour.
+export class ParticleSystem extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.container = element;
+
+        this.canvas = document.createElement('canvas');
+        this.options = { ...this.options, ...this.readOptions() };
+        this.worker = null;
+        this.network = null;
+        this.ready = Promise.resolve();
+        this.pointerFrame = null;
+        
+        this.init();
+    }
+
+    readOptions() {
+        const { dataset } = this.container;
+        const numbers = {
+            particleDensity: 'density',
+            particleMin: 'minCount',
+            particleCount: 'maxCount',
+            particleLinkDistance: 'linkDistance',
+            particleSpeed: 'speed',
+            particlePointerRadius: 'pointerRadius',
+            particlePointerForce: 'pointerForce'
+        };
+        const options = {
+            color: dataset.particleColor || '--particle-color',
+            lineColor: dataset.particleLineColor || '--particle-line-color'
+        };
+
+        Object.entries(numbers).forEach(([attribute, option]) => {
+            const value = parseFloat(dataset[attribute]);
+            if (Number.isFinite(value)) options[option] = value;
+        });
+
+        if (['attract', 'repel', 'none'].includes(dataset.particlePointer)) {
+            options.pointer = dataset.particlePointer;
+        }
+
+        return options;
+    }
+
+    // The network only understands concrete colours, so custom properties are
+    // looked up here against the current theme
+    resolveColors() {
+        const resolve = (value) => value.startsWith('--') ? themeManager.cssVar(value, this.container) : value;
+
+        return {
+            color: resolve(this.options.color),
+            lineColor: resolve(this.options.lineColor)
+        };
+    }
+
+    init() {
+        this.setupCanvas();
+
+        if (window.Worker && 'transferControlToOffscreen' in this.canvas) {
+            this.startWorker();
+        } else {
+            this.ready = this.startInline();
+        }
+
+        this.motion = motionGovernor.register('particles', {
+            element: this.container,
+            start: () => this.send({ type: 'start' }),
+            stop: () => this.send({ type: 'stop' }),
+            settle: () => this.send({ type: 'draw' })
+        });
+
+        this.onDestroy(scrollScheduler.subscribe(({ resized }) => {
+            if (resized) this.send({ type: 'resize', ...this.measure() });
+        }, { immediate: false }));
+
+        this.setupPointer();
+
+        this.listen(themeManager, 'themechange', () => {
+            this.send({ type: 'options', options: this.resolveColors() });
+        });
+
+        this.onDestroy(() => {
+            this.motion.unregister();
+            cancelAnimationFrame(this.pointerFrame);
+            this.worker?.terminate();
+            this.ready.then(() => this.network?.stop());
+            this.canvas.remove();
+        });
+    }
+
+    setupCanvas() {
+        this.canvas.style.position = 'absolute';
+        this.canvas.style.top = '0';
+        this.canvas.style.left = '0';
+        this.canvas.style.width = '100%';
+        this.canvas.style.height = '100%';
+        this.canvas.style.pointerEvents = 'none';
+        this.canvas.style.zIndex = '1';
+        this.canvas.setAttribute('aria-hidden', 'true');
+        
+        this.container.appendChild(this.canvas);
+    }
+
+    measure() {
+        const rect = this.container.getBoundingClientRect();
+        return {
+            width: rect.width,
+            height: rect.height,
+            dpr: Math.min(window.devicePixelRatio || 1, 2)
+        };
+    }
+
+    startWorker() {
+        const offscreen = this.canvas.transferControlToOffscreen();
+
+        this.worker = new Worker(new URL('../particles/particle-worker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('error', (e) => {
+            console.warn('Particle worker failed:', e.message);
+            this.reportError(e.error ?? new Error(e.message || 'Particle worker failed'), { phase: 'worker' });
+        });
+        this.worker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            options: { ...this.options, ...this.resolveColors() },
+            ...this.measure()
+        }, [offscreen]);
+    }
+
+    startInline() {
+        return import('../particles/particle-network.js').then(({ ParticleNetwork }) => {
+            if (this.destroyed) return;
+            this.network = new ParticleNetwork(this.canvas, { ...this.options, ...this.resolveColors() });
+            const { width, height, dpr } = this.measure();
+            this.network.resize(width, height, dpr);
+        }).catch(error => {
+            console.warn('Particle network unavailable:', error);
+        });
+    }
+
+    send(message) {
+        if (this.worker) {
+            this.worker.postMessage(message);
+        } else {
+            this.ready.then(() => this.network?.handle(message));
+        }
+    }
+
+    // The canvas ignores pointer events, so track them on the hero itself and
+    // forward at most one position per frame
+    setupPointer() {
+        if (this.options.pointer === 'none') return;
+
+        const area = this.container.closest('section') || this.container.parentElement;
+        let lastEvent = null;
+
+        this.listen(area, 'pointermove', (e) => {
+            lastEvent = e;
+            if (this.pointerFrame !== null || !this.motion.running) return;
+
+            this.pointerFrame = requestAnimationFrame(() => {
+                this.pointerFrame = null;
+                const rect = this.container.getBoundingClientRect();
+                this.send({
+                    type: 'pointer',
+                    pointer: { x: lastEvent.clientX - rect.left, y: lastEvent.clientY - rect.top }
+                });
+            });
+        });
+
+        const release = (e) => {
+            // A lifted finger should not keep pulling the network
+            if (e.type !== 'pointerleave' && e.pointerType === 'mouse') return;
+
+            cancelAnimationFrame(this.pointerFrame);
+            this.pointerFrame = null;
+            this.send({ type: 'pointer', pointer: null });
+        };
+
+        this.listen(area, 'pointerleave', release);
+        this.listen(area, 'pointerup', release);
+        this.listen(area, 'pointercancel', release);
+    }
+}
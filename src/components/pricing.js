@@ -0,0 +1,337 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+import { registry } from '../core/registry.js';
+import { scrollToSection } from '../core/scroll.js';
+import { matchRangeOption } from '../core/utils.js';
+import { PricingModel, BILLING_PERIODS } from '../pricing/pricing-model.js';
+
+// Pricing Calculator
+// Plans and add-ons come from the JSON file in data-pricing-src. The billing
+// switch, seat slider and currency select are static markup; plan cards and
+// add-on toggles are rendered from the config. "Request this plan" hands the
+// configuration to the contact form (options.form, #contactForm by default).
+export class PricingCalculator extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.container = element;
+
+        this.billingButtons = element.querySelectorAll('[data-billing]');
+        this.seatInput = element.querySelector('.pricing-seats input[type="range"]');
+        this.seatOutput = element.querySelector('.pricing-seats output');
+        this.currencySelect = element.querySelector('.pricing-currency select');
+        this.plansContainer = element.querySelector('.pricing-plans');
+        this.addonsContainer = element.querySelector('.pricing-addons-list');
+        this.summary = element.querySelector('.pricing-summary');
+
+        this.model = null;
+        this.cards = new Map();
+        this.state = null;
+
+        this.init();
+    }
+
+    async init() {
+        let config;
+
+        try {
+            [config] = await Promise.all([this.loadConfig(), i18n.ready]);
+        } catch (error) {
+            console.error('Failed to load pricing:', error);
+            this.reportError(error, { src: this.container.dataset.pricingSrc });
+            return;
+        }
+
+        if (this.destroyed) return;
+
+        this.model = new PricingModel(config);
+        const { seats } = this.model;
+
+        this.state = {
+            planId: this.model.resolvePlan(config.defaultPlan, seats.default).id,
+            seats: seats.default,
+            billing: 'monthly',
+            addons: new Set(),
+            currency: this.model.currencyForLocale(i18n.locale)
+        };
+
+        this.setupControls();
+        this.renderPlans();
+        this.renderAddons();
+        this.renderSummary();
+        this.update();
+
+        this.listen(i18n, 'localechange', () => this.update());
+        this.onDestroy(() => {
+            this.plansContainer.replaceChildren();
+            this.addonsContainer.replaceChildren();
+            this.summary.replaceChildren();
+        });
+    }
+
+    async loadConfig() {
+        const response = await fetch(this.container.dataset.pricingSrc);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    setupControls() {
+        const { seats } = this.model;
+
+        this.billingButtons.forEach(button => {
+            this.listen(button, 'click', () => {
+                if (!BILLING_PERIODS.includes(button.dataset.billing)) return;
+                this.setState({ billing: button.dataset.billing });
+            });
+        });
+
+        Object.assign(this.seatInput, { min: seats.min, max: seats.max, step: seats.step });
+        this.seatInput.value = this.state.seats;
+        this.listen(this.seatInput, 'input', () => {
+            const count = Number(this.seatInput.value);
+            this.setState({ seats: count, planId: this.model.resolvePlan(this.state.planId, count).id });
+        });
+
+        this.currencySelect.replaceChildren(...this.model.currencies.map(({ code }) => new Option(code, code)));
+        this.currencySelect.value = this.state.currency;
+        this.listen(this.currencySelect, 'change', () => this.setState({ currency: this.currencySelect.value }));
+    }
+
+    setState(changes) {
+        Object.assign(this.state, changes);
+        this.update();
+    }
+
+    renderPlans() {
+        this.model.plans.forEach(plan => {
+            const card = document.createElement('article');
+            card.className = 'pricing-card';
+            card.classList.toggle('featured', Boolean(plan.highlighted));
+            card.innerHTML = `
+                <h3 class="pricing-card-title"></h3>
+                <p class="pricing-card-description"></p>
+                <div class="pricing-card-price"><strong></strong> <span></span></div>
+                <p class="pricing-card-total"></p>
+                <ul class="pricing-card-features"></ul>
+                <button type="button" class="btn btn-secondary btn-full pricing-card-select"></button>
+            `;
+
+            const select = card.querySelector('.pricing-card-select');
+            select.dataset.track = `plan-${plan.id}`;
+            this.listen(select, 'click', () => this.setState({ planId: plan.id }));
+
+            this.cards.set(plan.id, card);
+            this.plansContainer.appendChild(card);
+        });
+    }
+
+    renderAddons() {
+        this.addonInputs = this.model.addons.map(addon => {
+            const label = document.createElement('label');
+            label.className = 'pricing-addon';
+            label.innerHTML = `
+                <input type="checkbox" value="${addon.id}">
+                <span class="pricing-addon-text">
+                    <span class="pricing-addon-name"></span>
+                    <span class="pricing-addon-description"></span>
+                </span>
+                <span class="pricing-addon-price"></span>
+            `;
+
+            const input = label.querySelector('input');
+            this.listen(input, 'change', () => {
+                const addons = new Set(this.state.addons);
+                if (input.checked) {
+                    addons.add(addon.id);
+                } else {
+                    addons.delete(addon.id);
+                }
+                this.setState({ addons });
+            });
+
+            this.addonsContainer.appendChild(label);
+            return { addon, label, input };
+        });
+    }
+
+    renderSummary() {
+        this.summary.innerHTML = `
+            <h3 class="pricing-summary-title"></h3>
+            <ul class="pricing-summary-lines"></ul>
+            <p class="pricing-summary-savings"></p>
+            <p class="pricing-summary-total" aria-live="polite"><span></span> <strong></strong></p>
+            <p class="pricing-summary-note"></p>
+            <button type="button" class="btn btn-primary btn-full pricing-request" data-track="pricing-request"></button>
+        `;
+
+        this.listen(this.summary.querySelector('.pricing-request'), 'click', () => this.requestPlan());
+    }
+
+    formatPrice(amount, currency = this.state.currency) {
+        const digits = amount >= 100 || Number.isInteger(amount) ? 0 : 2;
+        return i18n.formatNumber(amount, {
+            style: 'currency',
+            currency,
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        });
+    }
+
+    update() {
+        const { seats, billing, currency } = this.state;
+        const discount = Math.round(this.model.annualDiscount * 100);
+        const quote = this.getQuote();
+
+        this.billingButtons.forEach(button => {
+            const isActive = button.dataset.billing === billing;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+        this.container.querySelectorAll('[data-pricing-discount]').forEach(badge => {
+            badge.textContent = i18n.t('pricing.billing.discount', { percent: discount });
+        });
+
+        this.seatOutput.textContent = i18n.formatNumber(seats);
+        this.seatInput.setAttribute('aria-valuetext', i18n.t('pricing.seats.value', { count: seats }));
+
+        this.model.plans.forEach(plan => this.updateCard(plan));
+        this.updateAddons(quote.plan);
+        this.updateSummary(quote);
+
+        this.container.dataset.billing = billing;
+        this.container.dataset.currency = currency;
+    }
+
+    getQuote() {
+        return this.model.quote({
+            ...this.state,
+            addons: [...this.state.addons]
+        });
+    }
+
+    updateCard(plan) {
+        const card = this.cards.get(plan.id);
+        const { seats, billing, planId } = this.state;
+        const available = this.model.isAvailable(plan, seats);
+        const isSelected = plan.id === planId;
+        const quote = this.model.quote({ ...this.state, planId: plan.id, addons: [] });
+        const seatQuote = this.model.quote({ ...this.state, planId: plan.id, seats: 1, addons: [] });
+
+        card.classList.toggle('selected', isSelected);
+        card.classList.toggle('unavailable', !available);
+
+        card.querySelector('.pricing-card-title').textContent = i18n.t(plan.name);
+        card.querySelector('.pricing-card-description').textContent = i18n.t(plan.description);
+        card.querySelector('.pricing-card-price strong').textContent = this.formatPrice(seatQuote.perMonth);
+        card.querySelector('.pricing-card-price span').textContent = i18n.t('pricing.perSeat');
+
+        let note;
+        if (!available) {
+            note = plan.maxSeats !== undefined && seats > plan.maxSeats
+                ? i18n.t('pricing.limits.max', { count: plan.maxSeats })
+                : i18n.t('pricing.limits.min', { count: plan.minSeats });
+        } else {
+            note = i18n.t(billing === 'annual' ? 'pricing.card.totalAnnual' : 'pricing.card.totalMonthly', {
+                total: this.formatPrice(quote.total),
+                count: seats
+            });
+        }
+        card.querySelector('.pricing-card-total').textContent = note;
+
+        card.querySelector('.pricing-card-features').replaceChildren(...plan.features.map(key => {
+            const item = document.createElement('li');
+            item.textContent = i18n.t(key);
+            return item;
+        }));
+
+        const select = card.querySelector('.pricing-card-select');
+        select.disabled = !available;
+        select.setAttribute('aria-pressed', String(isSelected));
+        select.textContent = i18n.t(isSelected ? 'pricing.card.selected' : 'pricing.card.select');
+    }
+
+    updateAddons(plan) {
+        const { seats } = this.state;
+        const { rate } = this.model.getCurrency(this.state.currency);
+
+        this.addonInputs.forEach(({ addon, label, input }) => {
+            const included = this.model.isIncluded(plan, addon.id);
+
+            input.checked = included || this.state.addons.has(addon.id);
+            input.disabled = included;
+            label.classList.toggle('included', included);
+
+            label.querySelector('.pricing-addon-name').textContent = i18n.t(addon.name);
+            label.querySelector('.pricing-addon-description').textContent = i18n.t(addon.description);
+            label.querySelector('.pricing-addon-price').textContent = included
+                ? i18n.t('pricing.addons.included')
+                : i18n.t(addon.seatPrice ? 'pricing.addons.perSeat' : 'pricing.addons.flat', {
+                    price: this.formatPrice((addon.seatPrice || addon.flatPrice) * rate),
+                    total: this.formatPrice(this.model.monthlyPrice(addon, seats) * rate)
+                });
+        });
+    }
+
+    updateSummary(quote) {
+        const annual = quote.billing === 'annual';
+
+        this.summary.querySelector('.pricing-summary-title').textContent = i18n.t('pricing.summary.title', {
+            plan: i18n.t(quote.plan.name),
+            count: quote.seats
+        });
+
+        this.summary.querySelector('.pricing-summary-lines').replaceChildren(...quote.lines.map(line => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            const price = document.createElement('span');
+            name.textContent = i18n.t(line.name);
+            price.textContent = i18n.t('pricing.summary.perMonth', { price: this.formatPrice(line.monthly) });
+            item.append(name, price);
+            return item;
+        }));
+
+        const savings = this.summary.querySelector('.pricing-summary-savings');
+        savings.hidden = !annual || quote.savings === 0;
+        savings.textContent = i18n.t('pricing.summary.savings', { amount: this.formatPrice(quote.savings) });
+
+        this.summary.querySelector('.pricing-summary-total span').textContent = i18n.t(annual ? 'pricing.summary.totalAnnual' : 'pricing.summary.totalMonthly');
+        this.summary.querySelector('.pricing-summary-total strong').textContent = this.formatPrice(quote.total);
+        this.summary.querySelector('.pricing-summary-note').textContent = annual
+            ? i18n.t('pricing.summary.annualNote', { price: this.formatPrice(quote.perMonth) })
+            : i18n.t('pricing.summary.monthlyNote', { price: this.formatPrice(quote.perSeat) });
+        this.summary.querySelector('.pricing-request').textContent = i18n.t('pricing.request.button');
+    }
+
+    requestPlan() {
+        const formElement = document.querySelector(this.options.form || '#contactForm');
+        const form = formElement && registry.get(formElement, 'contact-form');
+        if (!form) return;
+
+        const quote = this.getQuote();
+        const addons = quote.lines.slice(1).map(line => i18n.t(line.name));
+        const teamSize = formElement.elements.namedItem('team-size');
+
+        form.prefill({
+            ...(teamSize && { 'team-size': matchRangeOption(teamSize, quote.seats) }),
+            message: i18n.t('pricing.request.message', {
+                plan: i18n.t(quote.plan.name),
+                count: quote.seats,
+                billing: i18n.t(`pricing.request.billing.${quote.billing}`),
+                addons: addons.length > 0 ? addons.join(', ') : i18n.t('pricing.request.noAddons'),
+                total: this.formatPrice(quote.total)
+            }),
+            plan: JSON.stringify({
+                plan: quote.plan.id,
+                seats: quote.seats,
+                billing: quote.billing,
+                addons: quote.lines.slice(1).map(line => line.id),
+                currency: quote.currency,
+                total: Math.round(quote.total * 100) / 100
+            })
+        });
+
+        scrollToSection(formElement.closest('section')?.id || 'contact');
+        form.focusFirstEmpty();
+    }
+}
@@ -0,0 +1,330 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+import { registry } from '../core/registry.js';
+import { scrollToSection } from '../core/scroll.js';
+import { themeManager } from '../core/theme.js';
+import { localized, matchRangeOption } from '../core/utils.js';
+import { ChartEngine } from '../chart/chart-engine.js';
+import { PricingModel } from '../pricing/pricing-model.js';
+import { RoiModel } from '../roi/roi-model.js';
+
+// ROI Calculator
+// Estimates monthly and annual savings and the payback period from the team
+// size, hourly cost, weekly coordination hours and the tools in use, with the
+// assumptions from data-roi-src and HermesTeam prices from data-pricing-src.
+// The inputs round-trip through the roi-* query parameters, so "Copy link"
+// shares the same calculation; "Attach to demo request" hands it to the
+// contact form (options.form, #contactForm by default).
+const PARAMS = {
+    teamSize: 'roi-team',
+    hourlyCost: 'roi-rate',
+    coordinationHours: 'roi-hours',
+    tools: 'roi-tools',
+    currency: 'roi-currency'
+};
+
+const NUMERIC_INPUTS = ['teamSize', 'hourlyCost', 'coordinationHours'];
+
+export class RoiCalculator extends Component {
+    constructor(element, options) {
+        super(element, options);
+
+        this.inputs = Object.fromEntries(NUMERIC_INPUTS.map(name => [name, element.querySelector(`[name="${name}"]`)]));
+        this.currencySelect = element.querySelector('.roi-currency');
+        this.toolsContainer = element.querySelector('.roi-tools-list');
+        this.canvas = element.querySelector('.roi-chart canvas');
+        this.note = element.querySelector('.roi-note');
+        this.shareStatus = element.querySelector('.roi-share-status');
+
+        this.model = null;
+        this.engine = null;
+        this.state = null;
+        this.result = null;
+
+        this.init();
+    }
+
+    async init() {
+        let roiConfig;
+        let pricingConfig;
+
+        try {
+            [roiConfig, pricingConfig] = await Promise.all([
+                loadJson(this.element.dataset.roiSrc),
+                loadJson(this.element.dataset.pricingSrc),
+                i18n.ready
+            ]);
+        } catch (error) {
+            console.error('Failed to load the ROI calculator:', error);
+            this.reportError(error, { src: this.element.dataset.roiSrc });
+            this.element.hidden = true;
+            return;
+        }
+
+        if (this.destroyed) return;
+
+        this.model = new RoiModel(roiConfig, new PricingModel(pricingConfig));
+        this.state = this.readState(new URLSearchParams(window.location.search));
+
+        this.setupControls();
+        this.renderTools();
+
+        this.spec = {
+            type: 'bar',
+            title: 'roi.chart.title',
+            category: 'roi.chart.category',
+            labels: [],
+            datasets: [{ id: 'monthly', label: 'roi.chart.dataset', values: [0, 0, 0] }]
+        };
+        this.engine = new ChartEngine(this.canvas, this.spec, { format: value => this.formatMoney(value) });
+
+        this.update();
+
+        this.listen(i18n, 'localechange', () => {
+            this.updateTools();
+            this.update();
+        });
+        this.listen(themeManager, 'themechange', () => this.engine.refresh());
+        this.onDestroy(() => {
+            this.engine.destroy();
+            this.toolsContainer.replaceChildren();
+        });
+    }
+
+    // Defaults from the config, replaced by any roi-* parameters in the URL
+    readState(params) {
+        const { pricing } = this.model;
+        const currency = pricing.getCurrency(params.get(PARAMS.currency) || pricing.currencyForLocale(i18n.locale)).code;
+        const state = { currency, tools: this.model.defaultTools };
+
+        NUMERIC_INPUTS.forEach(name => {
+            const value = Number.parseFloat(params.get(PARAMS[name]));
+            state[name] = Number.isFinite(value)
+                ? this.fit(name, value, currency)
+                : this.model.range(name, currency).default;
+        });
+
+        if (params.has(PARAMS.tools)) {
+            state.tools = params.get(PARAMS.tools).split(',').filter(id => this.model.getTool(id));
+        }
+
+        return state;
+    }
+
+    fit(name, value, currency = this.state.currency) {
+        const { min, max } = this.model.range(name, currency);
+        const clamped = Math.min(Math.max(value, min), max);
+        return name === 'teamSize' ? Math.round(clamped) : clamped;
+    }
+
+    applyRange(name) {
+        const { min, max, step } = this.model.range(name, this.state.currency);
+        Object.assign(this.inputs[name], { min, max, step });
+    }
+
+    setupControls() {
+        NUMERIC_INPUTS.forEach(name => {
+            const input = this.inputs[name];
+            this.applyRange(name);
+            input.value = this.state[name];
+
+            // Out-of-range values are left in the field while typing and only
+            // replaced by the clamped one once it is left
+            this.listen(input, 'input', () => {
+                const value = Number.parseFloat(input.value);
+                if (Number.isFinite(value)) this.setState({ [name]: this.fit(name, value) });
+            });
+            this.listen(input, 'change', () => {
+                input.value = this.state[name];
+            });
+        });
+
+        this.currencySelect.replaceChildren(...this.model.pricing.currencies.map(({ code }) => new Option(code, code)));
+        this.currencySelect.value = this.state.currency;
+        this.listen(this.currencySelect, 'change', () => this.setCurrency(this.currencySelect.value));
+
+        this.listen(this.element.querySelector('[data-roi="share"]'), 'click', () => this.copyLink());
+        this.listen(this.element.querySelector('[data-roi="request"]'), 'click', () => this.attachToRequest());
+    }
+
+    // The hourly cost keeps its value in money, converted to the new currency
+    setCurrency(code) {
+        const { pricing } = this.model;
+        const converted = this.state.hourlyCost / pricing.getCurrency(this.state.currency).rate * pricing.getCurrency(code).rate;
+
+        this.state.currency = code;
+        this.applyRange('hourlyCost');
+        this.state.hourlyCost = this.fit('hourlyCost', Math.round(converted));
+        this.inputs.hourlyCost.value = this.state.hourlyCost;
+        this.updateTools();
+        this.update();
+    }
+
+    setState(changes) {
+        Object.assign(this.state, changes);
+        this.update();
+    }
+
+    renderTools() {
+        this.toolInputs = this.model.tools.map(tool => {
+            const label = document.createElement('label');
+            label.className = 'roi-tool';
+            label.innerHTML = `
+                <input type="checkbox" value="${tool.id}">
+                <span class="roi-tool-name"></span>
+                <span class="roi-tool-price"></span>
+            `;
+
+            const input = label.querySelector('input');
+            input.checked = this.state.tools.includes(tool.id);
+            this.listen(input, 'change', () => {
+                this.setState({
+                    tools: this.toolInputs.filter(item => item.input.checked).map(item => item.tool.id)
+                });
+            });
+
+            this.toolsContainer.appendChild(label);
+            return { tool, label, input };
+        });
+
+        this.updateTools();
+    }
+
+    updateTools() {
+        const { rate } = this.model.pricing.getCurrency(this.state.currency);
+
+        this.toolInputs.forEach(({ tool, label }) => {
+            label.querySelector('.roi-tool-name').textContent = localized(tool.name, i18n.locale);
+            label.querySelector('.roi-tool-price').textContent = tool.seatPrice
+                ? i18n.t('roi.tools.price', { price: this.formatMoney(tool.seatPrice * rate) })
+                : i18n.t('roi.tools.free');
+        });
+    }
+
+    formatMoney(amount) {
+        return i18n.formatNumber(Math.round(amount), {
+            style: 'currency',
+            currency: this.state.currency,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        });
+    }
+
+    formatPayback(months) {
+        if (months === null) {
+            return i18n.t('roi.results.noPayback');
+        }
+        if (months < 1) {
+            const days = Math.max(1, Math.ceil(months * this.model.assumptions.weeksPerMonth * 7));
+            return i18n.t('roi.results.days', { count: i18n.formatNumber(days) });
+        }
+        return i18n.t('roi.results.months', { count: i18n.formatNumber(months, { maximumFractionDigits: 1 }) });
+    }
+
+    update() {
+        const result = this.model.calculate(this.state);
+        const { assumptions } = this.model;
+        this.result = result;
+
+        const figures = {
+            monthlySavings: this.formatMoney(result.monthlySavings),
+            annualSavings: this.formatMoney(result.annualSavings),
+            payback: this.formatPayback(result.paybackMonths),
+            hoursSaved: i18n.t('roi.results.hoursValue', { count: i18n.formatNumber(Math.round(result.hoursSaved)) })
+        };
+        Object.entries(figures).forEach(([name, text]) => {
+            this.element.querySelector(`[data-roi-result="${name}"]`).textContent = text;
+        });
+        this.element.classList.toggle('roi-loss', result.monthlySavings <= 0);
+
+        this.note.textContent = i18n.t('roi.note', {
+            coordination: Math.round(assumptions.coordinationSavings * 100),
+            adminHours: i18n.formatNumber(assumptions.adminHoursPerTool),
+            admin: Math.round(assumptions.adminSavings * 100),
+            onboarding: i18n.formatNumber(assumptions.onboardingHours),
+            plan: i18n.t(result.plan.name),
+            price: this.formatMoney(result.subscription),
+            billing: i18n.t(`pricing.request.billing.${result.billing}`)
+        });
+
+        this.updateChart(result);
+        this.shareStatus.textContent = '';
+    }
+
+    updateChart(result) {
+        const values = [result.costNow, result.costWith, Math.max(result.monthlySavings, 0)];
+
+        this.spec.labels = ['roi.chart.now', 'roi.chart.with', 'roi.chart.savings'].map(key => i18n.t(key));
+        this.spec.datasets[0].values = values;
+        this.engine.refresh();
+        this.engine.animateTo(values);
+    }
+
+    shareUrl() {
+        const url = new URL(window.location.href);
+        Object.entries(PARAMS).forEach(([name, param]) => {
+            const value = this.state[name];
+            url.searchParams.set(param, Array.isArray(value) ? value.join(',') : value);
+        });
+        url.hash = this.element.id;
+        return url.href;
+    }
+
+    async copyLink() {
+        const url = this.shareUrl();
+        let message = 'roi.share.copied';
+
+        // The address bar gets the link as well, for when the clipboard is unavailable
+        history.replaceState(history.state, '', url);
+
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch {
+            message = 'roi.share.manual';
+        }
+
+        if (this.destroyed) return;
+        this.shareStatus.textContent = i18n.t(message);
+    }
+
+    attachToRequest() {
+        const formElement = document.querySelector(this.options.form || '#contactForm');
+        const form = formElement && registry.get(formElement, 'contact-form');
+        if (!form) return;
+
+        const { state, result } = this;
+        const teamSize = formElement.elements.namedItem('team-size');
+
+        form.prefill({
+            ...(teamSize && { 'team-size': matchRangeOption(teamSize, state.teamSize) }),
+            message: i18n.t('roi.request.message', {
+                count: state.teamSize,
+                monthly: this.formatMoney(result.monthlySavings),
+                annual: this.formatMoney(result.annualSavings),
+                payback: this.formatPayback(result.paybackMonths)
+            }),
+            roi: JSON.stringify({
+                teamSize: state.teamSize,
+                hourlyCost: state.hourlyCost,
+                coordinationHours: state.coordinationHours,
+                tools: state.tools,
+                currency: result.currency,
+                monthlySavings: Math.round(result.monthlySavings),
+                annualSavings: Math.round(result.annualSavings),
+                paybackMonths: result.paybackMonths === null ? null : Math.round(result.paybackMonths * 10) / 10,
+                url: this.shareUrl()
+            })
+        });
+
+        scrollToSection(formElement.closest('section')?.id || 'contact');
+        form.focusFirstEmpty();
+    }
+}
+
+async function loadJson(src) {
+    const response = await fetch(src);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+}
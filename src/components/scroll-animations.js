@@ -0,0 +1,224 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+import { motionGovernor } from '../core/motion.js';
+
+// Scroll Animations
+// Declarative reveal engine for [data-aos] elements:
+//   data-aos           fade, fade-up, fade-down, fade-left, fade-right, zoom-in, zoom-out
+//   data-aos-delay     ms before the reveal starts
+//   data-aos-duration  ms, 800 by default
+//   data-aos-easing    any CSS timing function or a name from AOS_EASINGS
+//   data-aos-once      "false" hides the element again when it leaves the
+//                      viewport so the animation replays on re-entry
+// A parent with data-aos-stagger="<ms>" spaces out the children that are
+// revealed together, so a grid cascades whichever row scrolls in.
+//
+// Counters (.stat-number, .analytics-number, [data-counter]) count from
+// data-from (0) to data-target with data-decimals, data-prefix, data-suffix,
+// data-duration (ms) and data-easing (a COUNTER_EASINGS name), formatted with
+// the current locale's grouping.
+const AOS_DEFAULTS = {
+    duration: 800,
+    easing: 'ease'
+};
+
+const AOS_EASINGS = {
+    'ease-in-cubic': 'cubic-bezier(0.55, 0.055, 0.675, 0.19)',
+    'ease-out-cubic': 'cubic-bezier(0.215, 0.61, 0.355, 1)',
+    'ease-in-out-cubic': 'cubic-bezier(0.645, 0.045, 0.355, 1)',
+    'ease-out-back': 'cubic-bezier(0.175, 0.885, 0.32, 1.275)',
+    'ease-out-expo': 'cubic-bezier(0.19, 1, 0.22, 1)'
+};
+
+const COUNTER_EASINGS = {
+    'linear': t => t,
+    'ease-in': t => t * t * t,
+    'ease-out': t => 1 - Math.pow(1 - t, 3),
+    'ease-in-out': t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    'ease-out-expo': t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t))
+};
+
+export const COUNTER_SELECTOR = '[data-counter], .analytics-number, .stat-number';
+
+export class AnimationObserver {
+    constructor() {
+        this.observer = new IntersectionObserver(
+            (entries) => this.handleIntersection(entries),
+            {
+                threshold: 0.1,
+                rootMargin: '0px 0px -50px 0px'
+            }
+        );
+        this.delayTimers = new WeakMap();
+        this.countedElements = new Set();
+        this.completedCounters = new Set();
+        // Pending requestAnimationFrame id per counting element
+        this.counterFrames = new Map();
+
+        // Re-format finished counters with the new locale's grouping
+        i18n.addEventListener('localechange', () => {
+            this.completedCounters.forEach(element => {
+                const counter = this.readCounter(element);
+                element.textContent = this.formatCounter(counter.to, counter);
+            });
+        });
+    }
+
+    observe(element) {
+        this.observer.observe(element);
+    }
+
+    unobserve(element) {
+        this.observer.unobserve(element);
+        clearTimeout(this.delayTimers.get(element));
+        cancelAnimationFrame(this.counterFrames.get(element));
+        this.counterFrames.delete(element);
+        this.countedElements.delete(element);
+        this.completedCounters.delete(element);
+    }
+
+    handleIntersection(entries) {
+        // Stagger position per group within this batch of entries
+        const staggerIndex = new Map();
+
+        entries.forEach(entry => {
+            const element = entry.target;
+            const isReveal = element.hasAttribute('data-aos');
+            const isCounter = element.matches(COUNTER_SELECTOR);
+
+            if (entry.isIntersecting) {
+                if (isReveal && !element.classList.contains('aos-animate')) {
+                    this.reveal(element, this.getStaggerDelay(element, staggerIndex));
+                }
+
+                if (isCounter && !this.countedElements.has(element)) {
+                    this.countedElements.add(element);
+                    this.animateCounter(element);
+                }
+
+                if ((!isReveal || this.isOnce(element)) && (!isCounter || this.countedElements.has(element))) {
+                    this.observer.unobserve(element);
+                }
+            } else if (isReveal && !this.isOnce(element) && element.classList.contains('aos-animate')) {
+                this.hide(element);
+            }
+        });
+    }
+
+    isOnce(element) {
+        return element.dataset.aosOnce !== 'false';
+    }
+
+    getStaggerDelay(element, staggerIndex) {
+        const group = element.parentElement?.closest('[data-aos-stagger]');
+        if (!group) return 0;
+
+        const index = staggerIndex.get(group) || 0;
+        staggerIndex.set(group, index + 1);
+
+        return index * (parseInt(group.dataset.aosStagger) || 0);
+    }
+
+    readTiming(element) {
+        const { aosDuration, aosDelay, aosEasing } = element.dataset;
+        const duration = parseInt(aosDuration);
+
+        return {
+            duration: Number.isFinite(duration) ? duration : AOS_DEFAULTS.duration,
+            delay: parseInt(aosDelay) || 0,
+            easing: AOS_EASINGS[aosEasing] || aosEasing || AOS_DEFAULTS.easing
+        };
+    }
+
+    reveal(element, staggerDelay = 0) {
+        const { duration, delay, easing } = this.readTiming(element);
+        const totalDelay = delay + staggerDelay;
+
+        clearTimeout(this.delayTimers.get(element));
+        element.style.transitionDuration = `${duration}ms`;
+        element.style.transitionTimingFunction = easing;
+        element.style.transitionDelay = `${totalDelay}ms`;
+        element.classList.add('aos-animate');
+
+        // Drop the delay once revealed so hover effects on the element respond at once
+        this.delayTimers.set(element, setTimeout(() => {
+            element.style.transitionDelay = '';
+        }, totalDelay + duration));
+    }
+
+    hide(element) {
+        clearTimeout(this.delayTimers.get(element));
+        element.style.transitionDelay = '0ms';
+        element.classList.remove('aos-animate');
+    }
+
+    readCounter(element) {
+        const { target = '0', from = '0', decimals, prefix = '', suffix = '', duration, easing } = element.dataset;
+        const places = parseInt(decimals);
+        const ms = parseInt(duration);
+
+        return {
+            from: parseFloat(from) || 0,
+            to: parseFloat(target) || 0,
+            decimals: Number.isFinite(places) ? places : (target.split('.')[1] || '').length,
+            prefix,
+            suffix,
+            duration: Number.isFinite(ms) ? ms : 2000,
+            easing: COUNTER_EASINGS[easing] || COUNTER_EASINGS['ease-out']
+        };
+    }
+
+    formatCounter(value, counter) {
+        const number = i18n.formatNumber(value, {
+            minimumFractionDigits: counter.decimals,
+            maximumFractionDigits: counter.decimals
+        });
+        return `${counter.prefix}${number}${counter.suffix}`;
+    }
+
+    animateCounter(element) {
+        const counter = this.readCounter(element);
+        const finish = () => {
+            this.counterFrames.delete(element);
+            // Unobserved mid-count, e.g. its component was destroyed
+            if (!this.countedElements.has(element)) return;
+
+            element.textContent = this.formatCounter(counter.to, counter);
+            this.completedCounters.add(element);
+        };
+
+        if (!motionGovernor.motionAllowed || counter.duration <= 0) {
+            finish();
+            return;
+        }
+
+        const start = performance.now();
+        const updateCounter = (now) => {
+            const progress = Math.min((now - start) / counter.duration, 1);
+
+            // Jump to the end if motion gets paused mid-count
+            if (progress >= 1 || !motionGovernor.motionAllowed) {
+                finish();
+                return;
+            }
+
+            const value = counter.from + (counter.to - counter.from) * counter.easing(progress);
+            element.textContent = this.formatCounter(value, counter);
+            this.counterFrames.set(element, requestAnimationFrame(updateCounter));
+        };
+
+        this.counterFrames.set(element, requestAnimationFrame(updateCounter));
+    }
+}
+
+export const animationObserver = new AnimationObserver();
+
+// One component per animated element; they all share the observer above
+export class ScrollAnimation extends Component {
+    constructor(element, options) {
+        super(element, options);
+
+        animationObserver.observe(element);
+        this.onDestroy(() => animationObserver.unobserve(element));
+    }
+}
@@ -0,0 +1,30 @@
+import { Component } from '../core/component.js';
+import { scrollScheduler } from '../core/scroll.js';
+
+// Scroll Progress Indicator
+// Thin bar fixed to the top of the viewport; mount it on <body>.
+export class ScrollProgress extends Component {
+    constructor(element, options) {
+        super(element, options);
+
+        this.bar = document.createElement('div');
+        this.bar.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 0%;
+            height: 3px;
+            background: linear-gradient(90deg, var(--primary-500), var(--secondary-500));
+            z-index: 1001;
+            transition: width 0.1s ease;
+        `;
+        element.appendChild(this.bar);
+
+        this.onDestroy(scrollScheduler.subscribe(({ scrollY, viewportHeight, documentHeight }) => {
+            const maxScroll = documentHeight - viewportHeight;
+            const progress = maxScroll > 0 ? (scrollY / maxScroll) * 100 : 0;
+            this.bar.style.width = Math.min(progress, 100) + '%';
+        }));
+        this.onDestroy(() => this.bar.remove());
+    }
+}
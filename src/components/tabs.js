@@ -0,0 +1,218 @@
+import { Component } from '../core/component.js';
+import { scrollToSection } from '../core/scroll.js';
+
+// Tab Controller
+// Implements the WAI-ARIA tabs pattern (roles, roving tabindex, arrow/Home/End
+// keys) and mirrors the selection into the URL as #<section>/<tab>, e.g.
+// #features/integrations, so tabs can be deep-linked and follow back/forward.
+// Every switch fires a bubbling `tabchange` event from the container.
+// Options: `route` overrides the hash prefix (the enclosing section's id).
+export class TabController extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.container = element;
+        
+        this.routeName = this.options.route || this.container.closest('section[id]')?.id;
+
+        this.readTabs();
+        this.activeTabId = this.defaultTabId;
+        
+        this.init();
+    }
+
+    init() {
+        this.setupAria();
+
+        // Delegated, so tabs generated later (see refresh()) respond too
+        this.listen(this.container, 'click', (e) => {
+            const button = e.target.closest('.tab-btn, .example-tab');
+            if (button && [...this.tabButtons].includes(button)) {
+                this.switchTab(this.getTabId(button), { history: 'push' });
+            }
+        });
+
+        this.listen(this.container, 'keydown', (e) => this.handleKeydown(e));
+
+        this.listen(window, 'popstate', (e) => this.applyRoute(e.state));
+        this.listen(window, 'hashchange', () => this.applyRoute(history.state));
+
+        // Deep link on load
+        if (this.applyRoute(history.state)) {
+            this.rememberSelection('replace');
+            const frame = requestAnimationFrame(() => scrollToSection(this.routeName));
+            this.onDestroy(() => cancelAnimationFrame(frame));
+        }
+    }
+
+    readTabs() {
+        this.tabButtons = this.container.querySelectorAll('.tab-btn, .example-tab');
+        this.tabContents = this.container.querySelectorAll('.tab-content, .example-content');
+        this.tabList = this.tabButtons[0]?.parentElement;
+
+        const initialButton = [...this.tabButtons].find(button => button.classList.contains('active')) || this.tabButtons[0];
+        this.defaultTabId = this.getTabId(initialButton);
+    }
+
+    // Picks up buttons and panels rendered after mount, e.g. the case studies
+    // generated from data. The selection is kept while its tab still exists;
+    // otherwise the active-marked (or first) tab takes over.
+    refresh() {
+        // Nothing was selectable at mount, so the deep link is applied now
+        const unrouted = !this.activeTabId;
+        this.readTabs();
+        this.setupAria();
+
+        if (unrouted && this.applyRoute(history.state)) {
+            this.rememberSelection('replace');
+            scrollToSection(this.routeName);
+        }
+
+        if (!this.hasTab(this.activeTabId)) {
+            this.switchTab(this.defaultTabId);
+            if (this.routeName && location.hash.startsWith(`#${this.routeName}/`)) {
+                this.rememberSelection('replace');
+            }
+        }
+    }
+
+    getTabId(button) {
+        return button?.getAttribute('data-tab') || button?.getAttribute('data-example');
+    }
+
+    getPanel(tabId) {
+        return [...this.tabContents].find(content => (
+            content.id === `tab-${tabId}` || content.id === `example-${tabId}`
+        ));
+    }
+
+    hasTab(tabId) {
+        return [...this.tabButtons].some(button => this.getTabId(button) === tabId);
+    }
+
+    setupAria() {
+        if (this.tabList) {
+            this.tabList.setAttribute('role', 'tablist');
+
+            const title = this.container.closest('section')?.querySelector('.section-title');
+            if (title) {
+                title.id = title.id || `${this.routeName}-title`;
+                this.tabList.setAttribute('aria-labelledby', title.id);
+            }
+        }
+
+        this.tabButtons.forEach(button => {
+            const tabId = this.getTabId(button);
+            const panel = this.getPanel(tabId);
+
+            button.type = 'button';
+            button.id = button.id || `${this.routeName}-tab-${tabId}`;
+            button.setAttribute('role', 'tab');
+
+            if (panel) {
+                button.setAttribute('aria-controls', panel.id);
+                panel.setAttribute('role', 'tabpanel');
+                panel.setAttribute('aria-labelledby', button.id);
+                panel.tabIndex = 0;
+            }
+        });
+
+        this.updateTabs(this.activeTabId);
+    }
+
+    handleKeydown(e) {
+        const buttons = [...this.tabButtons];
+        const index = buttons.indexOf(e.target);
+        if (index === -1) return;
+
+        let next;
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                next = (index + 1) % buttons.length;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                next = (index - 1 + buttons.length) % buttons.length;
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = buttons.length - 1;
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        buttons[next].focus();
+        // Arrowing through tabs should not flood the back button
+        this.switchTab(this.getTabId(buttons[next]), { history: 'replace' });
+    }
+
+    // Resolves the tab for the current history entry: saved state first, then
+    // a #<section>/<tab> hash, then the markup default for entries this group
+    // never touched. Plain anchors like #contact leave the selection alone.
+    applyRoute(state) {
+        const [route, hashTabId] = decodeURIComponent(location.hash.slice(1)).split('/');
+        const fromHash = route === this.routeName && this.hasTab(hashTabId) ? hashTabId : null;
+        let tabId = state?.tabs?.[this.routeName];
+
+        if (!this.hasTab(tabId)) {
+            tabId = fromHash || (location.hash && !state?.tabs ? null : this.defaultTabId);
+        }
+
+        if (tabId) {
+            this.switchTab(tabId);
+        }
+
+        return Boolean(fromHash);
+    }
+
+    rememberSelection(mode) {
+        const state = history.state || {};
+        const tabs = { ...(state.tabs || {}), [this.routeName]: this.activeTabId };
+        const url = `#${this.routeName}/${this.activeTabId}`;
+
+        if (mode === 'push' && location.hash !== url) {
+            history.pushState({ ...state, tabs }, '', url);
+        } else {
+            history.replaceState({ ...state, tabs }, '', url);
+        }
+    }
+
+    switchTab(activeTabId, { history: historyMode = null } = {}) {
+        if (!this.hasTab(activeTabId)) return;
+
+        const previousTabId = this.activeTabId;
+        this.activeTabId = activeTabId;
+        this.updateTabs(activeTabId);
+
+        if (historyMode && this.routeName) {
+            this.rememberSelection(historyMode);
+        }
+
+        if (previousTabId !== activeTabId) {
+            this.container.dispatchEvent(new CustomEvent('tabchange', {
+                bubbles: true,
+                detail: { group: this.routeName, tabId: activeTabId, previousTabId }
+            }));
+        }
+    }
+
+    updateTabs(activeTabId) {
+        // Update button states
+        this.tabButtons.forEach(button => {
+            const isActive = this.getTabId(button) === activeTabId;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-selected', String(isActive));
+            button.tabIndex = isActive ? 0 : -1;
+        });
+
+        // Update content visibility
+        this.tabContents.forEach(content => {
+            const contentId = content.getAttribute('id');
+            content.classList.toggle('active', contentId === `tab-${activeTabId}` || contentId === `example-${activeTabId}`);
+        });
+    }
+}
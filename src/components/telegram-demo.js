@@ -0,0 +1,229 @@
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+import { motionGovernor } from '../core/motion.js';
+import { HermesBot } from '../bot/hermes-bot.js';
+
+// Telegram Messages Animation
+// Replays the scripted conversation while the demo is idle and hands the chat
+// over to HermesBot as soon as the visitor starts typing.
+export class TelegramAnimator extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.messageContainer = element.querySelector('.telegram-messages');
+        if (!this.messageContainer) return;
+        
+        this.form = element.querySelector('.telegram-input');
+        this.input = this.form?.querySelector('input');
+        this.bot = new HermesBot();
+        
+        this.currentMessageIndex = 0;
+        this.isAnimating = false;
+        this.isInteractive = false;
+        this.hasConversation = false;
+        this.playback = 0;
+        this.resumeTimer = null;
+        this.replyQueue = Promise.resolve();
+        // Stops for the messages being typed, so destroy() can end them
+        this.typing = new Set();
+        
+        this.init();
+    }
+
+    init() {
+        // Autoplay runs while the telegram demo is visible and motion is allowed
+        this.motion = motionGovernor.register('telegram', {
+            element: this.element,
+            threshold: 0.5,
+            start: () => this.resumeAutoplay(),
+            stop: () => this.stopAutoplay(),
+            settle: () => this.showScript()
+        });
+
+        this.onDestroy(() => {
+            this.motion.unregister();
+            clearTimeout(this.resumeTimer);
+            // Invalidates any playback loop still waiting on a timer
+            this.playback++;
+            this.typing.forEach(stop => stop());
+        });
+
+        if (!this.form) return;
+
+        this.listen(this.input, 'focus', () => this.pauseAutoplay());
+        this.listen(this.input, 'input', () => this.pauseAutoplay());
+        this.listen(this.input, 'blur', () => this.scheduleResume());
+
+        this.listen(this.form, 'submit', (e) => {
+            e.preventDefault();
+            const text = this.input.value.trim();
+            if (!text) return;
+
+            this.input.value = '';
+            this.handleUserMessage(text);
+        });
+    }
+
+    get messages() {
+        return i18n.t('telegram.script');
+    }
+
+    async startAnimation() {
+        const playback = ++this.playback;
+        this.isAnimating = true;
+        await i18n.ready;
+        if (playback !== this.playback) return;
+
+        this.messageContainer.innerHTML = '';
+        this.currentMessageIndex = 0;
+
+        for (let i = 0; i < this.messages.length; i++) {
+            await this.addMessage(this.messages[i], playback);
+            await new Promise(resolve => setTimeout(resolve, 1500));
+            if (playback !== this.playback) return;
+        }
+
+        // Restart animation after delay
+        setTimeout(() => {
+            if (playback !== this.playback) return;
+            this.isAnimating = false;
+            this.startAnimation();
+        }, 5000);
+    }
+
+    resumeAutoplay() {
+        if (!this.isAnimating && !this.isInteractive) {
+            this.startAnimation();
+        }
+    }
+
+    stopAutoplay() {
+        if (this.isInteractive) return;
+        this.playback++;
+        this.isAnimating = false;
+    }
+
+    // Static end state: the whole scripted conversation at once
+    async showScript() {
+        if (this.isInteractive) return;
+
+        const playback = ++this.playback;
+        this.isAnimating = false;
+        await i18n.ready;
+        if (playback !== this.playback || this.isInteractive) return;
+
+        this.messageContainer.innerHTML = '';
+        this.messages.forEach(message => this.appendMessage(message));
+    }
+
+    pauseAutoplay() {
+        clearTimeout(this.resumeTimer);
+        if (this.isInteractive) return;
+
+        // Invalidates the running playback loop
+        this.playback++;
+        this.isAnimating = false;
+        this.isInteractive = true;
+    }
+
+    // Hand the demo back to the script after a quiet period
+    scheduleResume() {
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = setTimeout(() => {
+            if (document.activeElement === this.input) return;
+            this.isInteractive = false;
+            this.hasConversation = false;
+
+            if (this.motion.running) {
+                this.startAnimation();
+            } else if (!motionGovernor.motionAllowed) {
+                this.showScript();
+            }
+        }, 30000);
+    }
+
+    handleUserMessage(text) {
+        this.pauseAutoplay();
+
+        // Replace the scripted conversation with the visitor's own
+        if (!this.hasConversation) {
+            this.hasConversation = true;
+            this.messageContainer.innerHTML = '';
+        }
+
+        this.appendMessage({ type: 'user', text });
+
+        // A failed reply is reported and leaves the queue settled, so the
+        // next message still gets one
+        this.replyQueue = this.replyQueue
+            .then(async () => {
+                await new Promise(resolve => setTimeout(resolve, 400));
+                if (this.destroyed) return;
+                await this.addMessage({ type: 'bot', text: this.bot.reply(text) });
+            })
+            .catch(error => {
+                console.error('Telegram demo reply failed:', error);
+                this.reportError(error, { phase: 'reply' });
+            });
+    }
+
+    appendMessage(messageData) {
+        const messageElement = document.createElement('div');
+        messageElement.className = `message ${messageData.type}-message`;
+        messageElement.textContent = messageData.text;
+        this.messageContainer.appendChild(messageElement);
+        this.messageContainer.scrollTop = this.messageContainer.scrollHeight;
+        return messageElement;
+    }
+
+    async addMessage(messageData, playback = null) {
+        const messageElement = document.createElement('div');
+        messageElement.className = `message ${messageData.type}-message`;
+        
+        // Typing animation
+        messageElement.style.opacity = '0';
+        this.messageContainer.appendChild(messageElement);
+        
+        // Animate text typing
+        await this.typeText(messageElement, messageData.text, playback);
+        
+        // Scroll to bottom
+        this.messageContainer.scrollTop = this.messageContainer.scrollHeight;
+    }
+
+    async typeText(element, text, playback = null) {
+        return new Promise(resolve => {
+            element.style.opacity = '1';
+
+            if (!motionGovernor.motionAllowed) {
+                element.textContent = text;
+                resolve();
+                return;
+            }
+
+            let currentText = '';
+            let charIndex = 0;
+            
+            const stop = () => {
+                clearInterval(typeInterval);
+                this.typing.delete(stop);
+                resolve();
+            };
+            const typeInterval = setInterval(() => {
+                // A scripted message stops typing once the visitor takes over
+                if (playback !== null && playback !== this.playback) {
+                    stop();
+                    return;
+                }
+                if (charIndex < text.length) {
+                    currentText += text[charIndex];
+                    element.textContent = currentText;
+                    charIndex++;
+                    this.messageContainer.scrollTop = this.messageContainer.scrollHeight;
+                } else {
+                    stop();
+                }
+            }, playback === null ? 15 : 50);
+            this.typing.add(stop);
+        });
+    }
+}
@@ -0,0 +1,34 @@
+import { Component } from '../core/component.js';
+import { themeManager } from '../core/theme.js';
+
+// Theme Switcher
+// Three buttons (light, dark, system) in the navbar, marked up like the
+// language switcher.
+export class ThemeSwitcher extends Component {
+    constructor(element, options) {
+        super(element, options);
+        this.buttons = element.querySelectorAll('.theme-btn[data-theme-choice]');
+        if (this.buttons.length === 0) return;
+
+        this.init();
+    }
+
+    init() {
+        this.buttons.forEach(button => {
+            button.addEventListener('click', () => {
+                themeManager.setPreference(button.dataset.themeChoice);
+            });
+        });
+
+        this.update(themeManager.preference);
+        this.listen(themeManager, 'themechange', (e) => this.update(e.detail.preference));
+    }
+
+    update(preference) {
+        this.buttons.forEach(button => {
+            const isActive = button.dataset.themeChoice === preference;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+}
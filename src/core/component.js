@@ -0,0 +1,50 @@
+import { errorReporter } from '../errors/reporter.js';
+
+// Component Base
+// Everything the registry mounts extends Component. listen() and onDestroy()
+// record teardown work as it is set up, so destroy() can release listeners on
+// window, document and shared services, observers, timers and animation
+// frames without each component tracking them by hand. reportError() sends a
+// handled error to the error reporter, tagged with the name the component was
+// mounted under; class names don't survive the production build's minifier.
+export class Component {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = options;
+        this.teardown = [];
+        this.destroyed = false;
+        // The data-component name, set by the registry once constructed
+        this.componentName = null;
+    }
+
+    get reportName() {
+        return this.componentName ?? this.constructor.name;
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.onDestroy(() => target.removeEventListener(type, handler, options));
+    }
+
+    onDestroy(cleanup) {
+        this.teardown.push(cleanup);
+    }
+
+    reportError(error, context = {}) {
+        return errorReporter.capture(error, { component: this.reportName, context });
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        this.teardown.splice(0).reverse().forEach(cleanup => {
+            try {
+                cleanup();
+            } catch (error) {
+                console.error(`${this.reportName} failed to clean up:`, error);
+                this.reportError(error, { phase: 'destroy' });
+            }
+        });
+    }
+}
@@ -0,0 +1,67 @@
+// Application Config
+// Defaults can be overridden by defining window.HermesConfig before main.js runs.
+export const AppConfig = {
+    leads: {
+        endpoint: '/api/leads',
+        timeout: 10000,
+        retries: 3,
+        retryDelay: 800,
+        ...(window.HermesConfig?.leads || {})
+    },
+    outbox: {
+        database: 'hermes-outbox',
+        store: 'submissions',
+        syncTag: 'lead-outbox'
+    },
+    i18n: {
+        locales: ['ru', 'en'],
+        defaultLocale: 'ru',
+        storageKey: 'hermes-locale',
+        path: '/locales'
+    },
+    motion: {
+        storageKey: 'hermes-motion'
+    },
+    theme: {
+        storageKey: 'hermes-theme'
+    },
+    analytics: {
+        endpoint: '/api/analytics',
+        batchSize: 20,
+        flushInterval: 10000,
+        consentKey: 'hermes-consent',
+        sessionKey: 'hermes-analytics-session',
+        ...(window.HermesConfig?.analytics || {})
+    },
+    errors: {
+        endpoint: '/api/errors',
+        sink: 'http',
+        batchSize: 10,
+        flushInterval: 5000,
+        maxBreadcrumbs: 20,
+        dedupeWindow: 60000,
+        rateLimit: 10,
+        rateWindow: 60000,
+        ...(window.HermesConfig?.errors || {})
+    },
+    booking: {
+        storageKey: 'hermes-booking',
+        maxAge: 24 * 60 * 60 * 1000
+    },
+    validation: {
+        freeEmailDomains: '/data/free-email-domains.json',
+        ...(window.HermesConfig?.validation || {})
+    },
+    antiSpam: {
+        honeypotField: 'website',
+        minSubmitTime: 3000,
+        rateLimit: 3,
+        rateWindow: 10 * 60 * 1000,
+        storageKey: 'hermes-submissions',
+        proofOfWork: true,
+        // Issues signed proof-of-work challenges; the difficulty is its call
+        challengeEndpoint: '/api/leads/challenge',
+        powTimeout: 10000,
+        ...(window.HermesConfig?.antiSpam || {})
+    }
+};
@@ -0,0 +1,119 @@
+import { AppConfig } from './config.js';
+
+// Internationalization
+// Markup is translated through `data-i18n="key"` (text content) and
+// `data-i18n-attr="attr:key, attr:key"` (attributes). Dictionaries live in
+// public/locales/<locale>.json. The initial locale is resolved by the inline
+// script in index.html and read back from <html lang>.
+export class I18n extends EventTarget {
+    constructor(options = AppConfig.i18n) {
+        super();
+        this.options = options;
+        this.locale = this.resolveLocale(document.documentElement.lang);
+        this.messages = {};
+        this.dictionaries = new Map();
+        this.numberFormats = new Map();
+
+        this.ready = this.setLocale(this.locale, { persist: false });
+    }
+
+    resolveLocale(locale) {
+        return this.options.locales.includes(locale) ? locale : this.options.defaultLocale;
+    }
+
+    load(locale) {
+        if (!this.dictionaries.has(locale)) {
+            const request = fetch(`${this.options.path}/${locale}.json`).then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            });
+            // Allow a later retry if the dictionary failed to load
+            request.catch(() => this.dictionaries.delete(locale));
+            this.dictionaries.set(locale, request);
+        }
+        return this.dictionaries.get(locale);
+    }
+
+    async setLocale(locale, { persist = true } = {}) {
+        locale = this.resolveLocale(locale);
+
+        try {
+            this.messages = await this.load(locale);
+        } catch (error) {
+            console.warn(`Failed to load "${locale}" translations:`, error);
+            document.documentElement.classList.remove('i18n-pending');
+            if (locale !== this.options.defaultLocale) {
+                return this.setLocale(this.options.defaultLocale, { persist: false });
+            }
+            return;
+        }
+
+        this.locale = locale;
+        document.documentElement.lang = locale;
+
+        if (persist) {
+            try {
+                localStorage.setItem(this.options.storageKey, locale);
+            } catch (error) {
+                // Storage can be unavailable in private mode; the choice just won't persist
+            }
+        }
+
+        this.translate(document);
+        document.documentElement.classList.remove('i18n-pending');
+
+        this.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+    }
+
+    t(key, params = {}) {
+        const message = this.messages[key];
+
+        if (message === undefined) {
+            return key;
+        }
+        if (typeof message !== 'string') {
+            return message;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (
+            name in params ? params[name] : match
+        ));
+    }
+
+    translate(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const message = this.messages[element.dataset.i18n];
+            if (typeof message === 'string') {
+                element.textContent = message;
+            }
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                const message = this.messages[key];
+                if (attribute && typeof message === 'string') {
+                    element.setAttribute(attribute, message);
+                }
+            });
+        });
+    }
+
+    formatNumber(value, options = {}) {
+        const cacheKey = `${this.locale}|${JSON.stringify(options)}`;
+
+        if (!this.numberFormats.has(cacheKey)) {
+            this.numberFormats.set(cacheKey, new Intl.NumberFormat(this.locale, options));
+        }
+
+        return this.numberFormats.get(cacheKey).format(value);
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString(this.locale, { hour: '2-digit', minute: '2-digit' });
+    }
+}
+
+export const i18n = new I18n();
@@ -0,0 +1,180 @@
+import { AppConfig } from './config.js';
+import { errorReporter } from '../errors/reporter.js';
+
+// Motion Governor
+// Animated components register here instead of running their own loops. A
+// component runs only while its element is on screen, the page is visible and
+// motion is allowed, and is stopped otherwise. prefers-reduced-motion or the
+// visitor's "pause animations" switch disallow motion; components are then
+// asked to settle() into a static end state. <html> carries `motion-reduced`
+// so the stylesheet can do the same for CSS animations.
+export class MotionGovernor extends EventTarget {
+    constructor(options = AppConfig.motion) {
+        super();
+        this.options = options;
+        this.components = new Set();
+        this.observers = new Map();
+        this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.userPaused = this.readPreference();
+
+        document.addEventListener('visibilitychange', () => this.updateAll());
+        this.reducedMotionQuery.addEventListener?.('change', () => this.handleMotionChange());
+
+        this.applyDocumentState();
+    }
+
+    get reducedMotion() {
+        return this.reducedMotionQuery.matches;
+    }
+
+    get motionAllowed() {
+        return !this.reducedMotion && !this.userPaused;
+    }
+
+    readPreference() {
+        try {
+            return localStorage.getItem(this.options.storageKey) === 'paused';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    setPaused(paused) {
+        this.userPaused = Boolean(paused);
+
+        try {
+            localStorage.setItem(this.options.storageKey, this.userPaused ? 'paused' : 'running');
+        } catch (error) {
+            // Storage can be unavailable in private mode; the choice just won't persist
+        }
+
+        this.handleMotionChange();
+    }
+
+    handleMotionChange() {
+        this.applyDocumentState();
+        this.updateAll();
+
+        this.dispatchEvent(new CustomEvent('motionchange', {
+            detail: {
+                motionAllowed: this.motionAllowed,
+                reducedMotion: this.reducedMotion,
+                userPaused: this.userPaused
+            }
+        }));
+    }
+
+    applyDocumentState() {
+        document.documentElement.classList.toggle('motion-reduced', !this.motionAllowed);
+    }
+
+    // Returns a handle with start()/stop() so a component (or the console) can
+    // switch it off independently of visibility and motion settings. Each
+    // call is its own registration: the name only labels errors, so a second
+    // instance or a remount under the same name leaves the first one alone.
+    register(name, { element = null, threshold = 0, start, stop, settle } = {}) {
+        // An element that is already observed gets no new initial entry, so
+        // take the visibility the other registration has seen
+        const sibling = element ? this.findWatching(element, threshold) : null;
+        const component = {
+            name, element, threshold, start, stop, settle,
+            enabled: true,
+            visible: sibling ? sibling.visible : !element,
+            running: false,
+            settled: false
+        };
+        this.components.add(component);
+
+        if (element && !sibling) {
+            this.getObserver(threshold).observe(element);
+        }
+
+        this.update(component);
+
+        return {
+            start: () => this.setEnabled(component, true),
+            stop: () => this.setEnabled(component, false),
+            unregister: () => this.unregister(component),
+            get running() {
+                return component.running;
+            }
+        };
+    }
+
+    unregister(component) {
+        if (!this.components.has(component)) return;
+
+        component.enabled = false;
+        this.update(component);
+        this.components.delete(component);
+
+        // Another registration may still watch the same element
+        if (component.element && !this.findWatching(component.element, component.threshold)) {
+            this.observers.get(component.threshold)?.unobserve(component.element);
+        }
+    }
+
+    findWatching(element, threshold) {
+        return [...this.components].find(other => other.element === element && other.threshold === threshold) ?? null;
+    }
+
+    setEnabled(component, enabled) {
+        if (!this.components.has(component)) return;
+
+        component.enabled = enabled;
+        this.update(component);
+    }
+
+    getObserver(threshold) {
+        if (!this.observers.has(threshold)) {
+            this.observers.set(threshold, new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    const visible = entry.isIntersecting && entry.intersectionRatio >= threshold;
+                    this.components.forEach(component => {
+                        if (component.element === entry.target && component.threshold === threshold) {
+                            component.visible = visible;
+                            this.update(component);
+                        }
+                    });
+                });
+            }, { threshold }));
+        }
+
+        return this.observers.get(threshold);
+    }
+
+    updateAll() {
+        this.components.forEach(component => this.update(component));
+    }
+
+    update(component) {
+        const shouldRun = component.enabled && component.visible && !document.hidden && this.motionAllowed;
+
+        if (shouldRun && !component.running) {
+            component.running = true;
+            component.settled = false;
+            this.invoke(component, 'start');
+        } else if (!shouldRun && component.running) {
+            component.running = false;
+            this.invoke(component, 'stop');
+        }
+
+        if (!this.motionAllowed && !component.settled) {
+            component.settled = true;
+            this.invoke(component, 'settle');
+        } else if (this.motionAllowed) {
+            component.settled = false;
+        }
+    }
+
+    invoke(component, hook) {
+        try {
+            component[hook]?.();
+        } catch (error) {
+            console.error(`Motion component "${component.name}" failed to ${hook}:`, error);
+            errorReporter.capture(error, { component: component.name, context: { phase: hook } });
+        }
+    }
+}
+
+export const motionGovernor = new MotionGovernor();
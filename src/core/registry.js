@@ -0,0 +1,109 @@
+import { errorReporter } from '../errors/reporter.js';
+
+// Component Registry
+// Markup declares components with data-component="name" (several names may be
+// space-separated) and optional JSON options in data-options. A definition can
+// also claim elements by selector, e.g. every [data-aos] element gets
+// "scroll-animation". start() mounts everything under the root and then
+// follows the DOM through a MutationObserver: injected HTML is mounted, and
+// components whose element leaves the document are destroyed.
+export class ComponentRegistry {
+    constructor() {
+        this.definitions = new Map();
+        this.instances = new Map();
+        this.observer = null;
+    }
+
+    define(name, ComponentClass, { selector = null } = {}) {
+        this.definitions.set(name, { name, ComponentClass, selector });
+        return this;
+    }
+
+    start(root = document.body) {
+        this.mount(root);
+
+        this.observer = new MutationObserver((records) => this.handleMutations(records));
+        this.observer.observe(root, { childList: true, subtree: true });
+    }
+
+    stop() {
+        this.observer?.disconnect();
+        this.observer = null;
+        this.unmount(document.documentElement);
+    }
+
+    mount(root) {
+        this.definitions.forEach(definition => {
+            const selector = this.selectorFor(definition);
+            const elements = root.matches(selector) ? [root] : [];
+            elements.push(...root.querySelectorAll(selector));
+
+            elements.forEach(element => this.mountComponent(element, definition));
+        });
+    }
+
+    unmount(root) {
+        this.instances.forEach((mounted, element) => {
+            if (root !== element && !root.contains(element)) return;
+
+            mounted.forEach(instance => instance.destroy?.());
+            this.instances.delete(element);
+        });
+    }
+
+    get(element, name) {
+        return this.instances.get(element)?.get(name) ?? null;
+    }
+
+    selectorFor({ name, selector }) {
+        const declared = `[data-component~="${name}"]`;
+        return selector ? `${declared}, ${selector}` : declared;
+    }
+
+    mountComponent(element, { name, ComponentClass }) {
+        const mounted = this.instances.get(element) || new Map();
+        if (mounted.has(name)) return mounted.get(name);
+
+        try {
+            const instance = new ComponentClass(element, this.readOptions(element));
+            instance.componentName = name;
+            mounted.set(name, instance);
+            this.instances.set(element, mounted);
+            return instance;
+        } catch (error) {
+            console.error(`Failed to mount component "${name}":`, error);
+            errorReporter.capture(error, { component: name, context: { phase: 'mount' } });
+            return null;
+        }
+    }
+
+    readOptions(element) {
+        if (!element.dataset.options) return {};
+
+        try {
+            return JSON.parse(element.dataset.options);
+        } catch (error) {
+            console.warn('Ignoring invalid data-options:', element.dataset.options);
+            return {};
+        }
+    }
+
+    handleMutations(records) {
+        records.forEach(record => {
+            record.removedNodes.forEach(node => {
+                // Nodes that were only moved are still connected
+                if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+                    this.unmount(node);
+                }
+            });
+
+            record.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+                    this.mount(node);
+                }
+            });
+        });
+    }
+}
+
+export const registry = new ComponentRegistry();
@@ -0,0 +1,93 @@
+import { motionGovernor } from './motion.js';
+import { errorReporter } from '../errors/reporter.js';
+
+// Scroll Scheduler
+// One passive scroll/resize listener for the whole page. Subscribers are called
+// together inside a single animation frame with a snapshot of the scroll
+// metrics, which is read once per frame before anyone writes to the DOM.
+export class ScrollScheduler {
+    constructor() {
+        this.subscribers = new Set();
+        this.frame = null;
+        this.resized = false;
+        this.listening = false;
+
+        this.handleScroll = () => this.schedule();
+        this.handleResize = () => {
+            this.resized = true;
+            this.schedule();
+        };
+    }
+
+    subscribe(callback, { immediate = true } = {}) {
+        this.subscribers.add(callback);
+        this.listen();
+
+        if (immediate) {
+            this.resized = true;
+            this.schedule();
+        }
+
+        return () => this.unsubscribe(callback);
+    }
+
+    unsubscribe(callback) {
+        this.subscribers.delete(callback);
+
+        if (!this.subscribers.size) {
+            window.removeEventListener('scroll', this.handleScroll);
+            window.removeEventListener('resize', this.handleResize);
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+            this.listening = false;
+        }
+    }
+
+    listen() {
+        if (this.listening) return;
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+        window.addEventListener('resize', this.handleResize, { passive: true });
+        this.listening = true;
+    }
+
+    schedule() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => this.flush());
+    }
+
+    flush() {
+        this.frame = null;
+
+        const metrics = {
+            scrollY: window.scrollY,
+            viewportHeight: window.innerHeight,
+            documentHeight: document.documentElement.scrollHeight,
+            resized: this.resized
+        };
+        this.resized = false;
+
+        this.subscribers.forEach(callback => {
+            try {
+                callback(metrics);
+            } catch (error) {
+                console.error('Scroll subscriber failed:', error);
+                errorReporter.capture(error, { context: { phase: 'scroll' } });
+            }
+        });
+    }
+}
+
+export const scrollScheduler = new ScrollScheduler();
+
+// Scrolls a section into view below the fixed navbar
+export function scrollToSection(sectionId) {
+    const section = document.getElementById(sectionId);
+    if (section) {
+        const navbarHeight = document.querySelector('.navbar')?.offsetHeight || 0;
+        const offsetTop = section.getBoundingClientRect().top + window.scrollY - navbarHeight;
+        window.scrollTo({
+            top: offsetTop,
+            behavior: motionGovernor.motionAllowed ? 'smooth' : 'auto'
+        });
+    }
+}
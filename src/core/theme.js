@@ -0,0 +1,77 @@
+import { AppConfig } from './config.js';
+
+export const THEME_PREFERENCES = ['light', 'dark', 'system'];
+
+// Theme Manager
+// The visitor picks light, dark or "system", which follows
+// prefers-color-scheme. The resolved theme is written to <html data-theme>
+// (the inline script in index.html does the same before first paint) and
+// style.css remaps its custom properties from there. Canvas painters cannot
+// see CSS changes, so they listen for `themechange` and re-read the palette.
+export class ThemeManager extends EventTarget {
+    constructor(options = AppConfig.theme) {
+        super();
+        this.options = options;
+        this.darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this.preference = this.readPreference();
+
+        this.darkQuery.addEventListener?.('change', () => {
+            if (this.preference === 'system') this.handleThemeChange();
+        });
+
+        this.applyDocumentState();
+    }
+
+    get theme() {
+        if (this.preference !== 'system') return this.preference;
+        return this.darkQuery.matches ? 'dark' : 'light';
+    }
+
+    readPreference() {
+        try {
+            const saved = localStorage.getItem(this.options.storageKey);
+            return THEME_PREFERENCES.includes(saved) ? saved : 'system';
+        } catch (error) {
+            return 'system';
+        }
+    }
+
+    setPreference(preference) {
+        if (!THEME_PREFERENCES.includes(preference) || preference === this.preference) return;
+        this.preference = preference;
+
+        try {
+            if (preference === 'system') {
+                localStorage.removeItem(this.options.storageKey);
+            } else {
+                localStorage.setItem(this.options.storageKey, preference);
+            }
+        } catch (error) {
+            // Storage can be unavailable in private mode; the choice just won't persist
+        }
+
+        this.handleThemeChange();
+    }
+
+    handleThemeChange() {
+        this.applyDocumentState();
+
+        this.dispatchEvent(new CustomEvent('themechange', {
+            detail: {
+                theme: this.theme,
+                preference: this.preference
+            }
+        }));
+    }
+
+    applyDocumentState() {
+        document.documentElement.dataset.theme = this.theme;
+    }
+
+    // Reads a custom property as currently resolved, e.g. cssVar('--primary-500')
+    cssVar(name, element = document.documentElement) {
+        return getComputedStyle(element).getPropertyValue(name).trim();
+    }
+}
+
+export const themeManager = new ThemeManager();
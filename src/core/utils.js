@@ -0,0 +1,56 @@
+// Utility Functions
+export function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+export function throttle(func, limit) {
+    let inThrottle;
+    return function() {
+        const args = arguments;
+        const context = this;
+        if (!inThrottle) {
+            func.apply(context, args);
+            inThrottle = true;
+            setTimeout(() => inThrottle = false, limit);
+        }
+    }
+}
+
+// Saves a Blob under `filename` through a temporary link
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Picks the `locale` variant of a per-locale value ({ ru, en }) from a data
+// file, falling back to the first one; plain strings are the same everywhere
+export function localized(value, locale) {
+    if (typeof value === 'string') return value;
+    return value?.[locale] ?? Object.values(value || {})[0] ?? '';
+}
+
+// The value of the select option whose range ("11-50", "200+") contains
+// `count`, such as the contact form's team sizes; '' when none does
+export function matchRangeOption(select, count) {
+    const option = [...select.options].find(({ value }) => {
+        const match = value.match(/^(\d+)(?:-(\d+)|\+)$/);
+        if (!match) return false;
+        const max = match[2] === undefined ? Infinity : Number(match[2]);
+        return count >= Number(match[1]) && count <= max;
+    });
+    return option?.value ?? '';
+}
@@ -0,0 +1,112 @@
+// Text Diff
+// Line diff between two versions of a document, built on a longest common
+// subsequence table. Documents in the demo are a few dozen lines, so the
+// O(n·m) table is cheap; changed lines are diffed again word by word for
+// highlighting.
+
+// [{ type: 'equal' | 'delete' | 'insert', value }] turning `a` into `b`
+export function diffSequences(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const table = new Uint32Array(rows * cols);
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i * cols + j] = a[i] === b[j]
+                ? table[(i + 1) * cols + j + 1] + 1
+                : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ type: 'equal', value: a[i++] });
+            j++;
+        } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+            ops.push({ type: 'delete', value: a[i++] });
+        } else {
+            ops.push({ type: 'insert', value: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ type: 'delete', value: a[i++] });
+    while (j < b.length) ops.push({ type: 'insert', value: b[j++] });
+
+    return ops;
+}
+
+function splitLines(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines.at(-1) === '') lines.pop();
+    return lines;
+}
+
+// Line ops with 1-based line numbers on the side(s) they exist on
+export function diffLines(before, after) {
+    let oldLine = 0;
+    let newLine = 0;
+
+    return diffSequences(splitLines(before), splitLines(after)).map(({ type, value }) => ({
+        type,
+        value,
+        oldLine: type === 'insert' ? null : ++oldLine,
+        newLine: type === 'delete' ? null : ++newLine
+    }));
+}
+
+// Word ops for one changed line, with runs of the same type merged.
+// Whitespace is kept as its own token so the line rebuilds exactly.
+export function diffWords(before, after) {
+    const tokenize = text => text.match(/\s+|[^\s]+/g) || [];
+
+    return diffSequences(tokenize(before), tokenize(after)).reduce((ops, op) => {
+        const last = ops.at(-1);
+        if (last?.type === op.type) {
+            last.value += op.value;
+        } else {
+            ops.push({ ...op });
+        }
+        return ops;
+    }, []);
+}
+
+// Rows of { left, right } for a side-by-side view: each run of deleted lines
+// is paired with the run of inserted lines that follows it
+export function sideBySide(ops) {
+    const rows = [];
+    let deleted = [];
+    let inserted = [];
+
+    const flush = () => {
+        for (let k = 0; k < Math.max(deleted.length, inserted.length); k++) {
+            rows.push({ left: deleted[k] ?? null, right: inserted[k] ?? null });
+        }
+        deleted = [];
+        inserted = [];
+    };
+
+    ops.forEach(op => {
+        if (op.type === 'delete') {
+            if (inserted.length > 0) flush();
+            deleted.push(op);
+        } else if (op.type === 'insert') {
+            inserted.push(op);
+        } else {
+            flush();
+            rows.push({ left: op, right: op });
+        }
+    });
+    flush();
+
+    return rows;
+}
+
+export function diffStats(ops) {
+    return {
+        added: ops.filter(op => op.type === 'insert').length,
+        removed: ops.filter(op => op.type === 'delete').length
+    };
+}
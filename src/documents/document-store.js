@@ -0,0 +1,74 @@
+import { localized } from '../core/utils.js';
+
+// Demo Document Store
+// In-browser store behind the documents demo: files from
+// public/data/documents.json with every saved version kept, oldest first.
+// Version times are given as minutes before page load so the demo always
+// reads "2 hours ago". Names and contents exist per locale; authors are
+// shared by id.
+export class DocumentStore {
+    constructor(data, now = Date.now()) {
+        this.authors = data.authors || {};
+        this.documents = data.documents.map(doc => ({
+            ...doc,
+            versions: doc.versions.map(version => ({
+                ...version,
+                id: `${doc.id}@${version.version}`,
+                createdAt: now - version.minutesAgo * 60000
+            }))
+        }));
+    }
+
+    static async load(src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return new DocumentStore(await response.json());
+    }
+
+    list() {
+        return this.documents;
+    }
+
+    get(id) {
+        return this.documents.find(doc => doc.id === id) ?? null;
+    }
+
+    latest(id) {
+        return this.get(id)?.versions.at(-1) ?? null;
+    }
+
+    version(id, versionId) {
+        return this.get(id)?.versions.find(version => version.id === versionId) ?? null;
+    }
+
+    // The version saved before `versionId`, or null for the first one
+    previous(id, versionId) {
+        const versions = this.get(id)?.versions || [];
+        const index = versions.findIndex(version => version.id === versionId);
+        return index > 0 ? versions[index - 1] : null;
+    }
+
+    authorName(authorId, locale) {
+        const names = this.authors[authorId];
+        return names ? localized(names, locale) : authorId;
+    }
+
+    content(version, locale) {
+        return localized(version.content, locale);
+    }
+
+    note(version, locale) {
+        return localized(version.note, locale);
+    }
+
+    filename(doc, version, name) {
+        const base = name.replace(/\.[^.]+$/, '');
+        return `${base} v${version.version}.${doc.extension}`;
+    }
+
+    blob(doc, version, locale) {
+        return new Blob([this.content(version, locale)], { type: `${doc.type};charset=utf-8` });
+    }
+}
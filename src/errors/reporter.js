@@ -0,0 +1,195 @@
+import { AppConfig } from '../core/config.js';
+import { normalizeError, fingerprint } from './stack.js';
+import { createSink } from './sinks.js';
+
+// Error Reporter
+// Collects uncaught errors and unhandled rejections once install() has run,
+// plus errors components report on purpose through capture() (or
+// Component#reportError). Each report carries a normalised stack, the page
+// context (URL, user agent, locale, viewport, active tabs) and the last few
+// breadcrumbs: clicks, navigation, tab switches and form results.
+// Repeats of the same error within dedupeWindow are folded into one report's
+// `count`, or, once that report has left, into the next batch's `repeats`
+// by fingerprint. Past rateLimit reports per rateWindow the rest are dropped
+// and only counted. Reports leave in batches through the configured sink.
+export class ErrorReporter {
+    constructor(options = AppConfig.errors) {
+        this.options = options;
+        this.sink = createSink(options);
+        this.queue = [];
+        this.breadcrumbs = [];
+        this.seen = new Map();
+        // Repeats per fingerprint of reports that were already sent
+        this.repeats = new Map();
+        this.reportTimes = [];
+        this.dropped = 0;
+        this.activeTabs = {};
+        this.flushTimer = null;
+        this.installed = false;
+    }
+
+    install() {
+        if (this.installed) return;
+        this.installed = true;
+
+        window.addEventListener('error', (e) => {
+            // Errors from cross-origin scripts arrive without an Error object
+            const error = e.error ?? Object.assign(new Error(e.message || 'Script error'), {
+                stack: e.filename ? `@${e.filename}:${e.lineno}:${e.colno}` : ''
+            });
+            this.capture(error, { handled: false });
+        });
+
+        window.addEventListener('unhandledrejection', (e) => {
+            this.capture(e.reason, { handled: false, context: { source: 'promise' } });
+        });
+
+        this.collectBreadcrumbs();
+
+        window.addEventListener('pagehide', () => this.flush({ unloading: true }));
+    }
+
+    collectBreadcrumbs() {
+        document.addEventListener('click', (e) => {
+            if (e.target instanceof Element) {
+                this.addBreadcrumb('click', describeElement(e.target));
+            }
+        }, true);
+
+        window.addEventListener('hashchange', (e) => {
+            this.addBreadcrumb('navigation', `${new URL(e.oldURL).hash || '#'} → ${location.hash || '#'}`);
+        });
+
+        window.addEventListener('popstate', () => {
+            this.addBreadcrumb('navigation', `history → ${location.hash || location.pathname}`);
+        });
+
+        document.addEventListener('tabchange', (e) => {
+            const { group, tabId } = e.detail;
+            if (group) this.activeTabs[group] = tabId;
+            this.addBreadcrumb('tab', `${group || 'tabs'}: ${tabId}`);
+        });
+
+        document.addEventListener('formresult', (e) => {
+            this.addBreadcrumb('form', `${e.target.id || 'form'}: ${e.detail.result}`);
+        });
+
+        window.addEventListener('online', () => this.addBreadcrumb('network', 'online'));
+        window.addEventListener('offline', () => this.addBreadcrumb('network', 'offline'));
+    }
+
+    addBreadcrumb(category, message, data = null) {
+        this.breadcrumbs.push({ timestamp: Date.now(), category, message, ...(data && { data }) });
+        if (this.breadcrumbs.length > this.options.maxBreadcrumbs) {
+            this.breadcrumbs.shift();
+        }
+    }
+
+    getContext() {
+        return {
+            url: location.href,
+            userAgent: navigator.userAgent,
+            locale: document.documentElement.lang,
+            viewport: `${window.innerWidth}x${window.innerHeight}`,
+            online: navigator.onLine,
+            activeTabs: { ...this.activeTabs }
+        };
+    }
+
+    // Returns the queued report, or null when it was folded into a repeat or
+    // dropped by the rate limit
+    capture(error, { handled = true, component = null, context = {}, level = 'error' } = {}) {
+        const normalized = normalizeError(error);
+        const key = fingerprint(normalized);
+        const now = Date.now();
+
+        const previous = this.seen.get(key);
+        if (previous && now - previous.timestamp < this.options.dedupeWindow) {
+            if (this.queue.includes(previous)) {
+                previous.count++;
+            } else {
+                this.repeats.set(key, (this.repeats.get(key) || 0) + 1);
+                this.scheduleFlush();
+            }
+            return null;
+        }
+
+        this.reportTimes = this.reportTimes.filter(time => now - time < this.options.rateWindow);
+        if (this.reportTimes.length >= this.options.rateLimit) {
+            this.dropped++;
+            return null;
+        }
+        this.reportTimes.push(now);
+
+        const report = {
+            ...normalized,
+            fingerprint: key,
+            timestamp: now,
+            level,
+            handled,
+            component,
+            count: 1,
+            extra: context,
+            context: this.getContext(),
+            breadcrumbs: [...this.breadcrumbs]
+        };
+
+        this.seen.set(key, report);
+        this.queue.push(report);
+        this.addBreadcrumb('error', `${normalized.name}: ${normalized.message}`.slice(0, 120));
+
+        if (this.queue.length >= this.options.batchSize) {
+            this.flush();
+        } else {
+            this.scheduleFlush();
+        }
+
+        return report;
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer === null) {
+            this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+        }
+    }
+
+    flush({ unloading = false } = {}) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.queue.length === 0 && this.dropped === 0 && this.repeats.size === 0) return;
+
+        const batch = {
+            sentAt: Date.now(),
+            dropped: this.dropped,
+            reports: this.queue.splice(0),
+            repeats: [...this.repeats].map(([fingerprint, count]) => ({ fingerprint, count }))
+        };
+        this.dropped = 0;
+        this.repeats.clear();
+
+        try {
+            this.sink.send(batch, { unloading });
+        } catch (error) {
+            console.warn('Error report could not be sent:', error);
+        }
+    }
+}
+
+// "button#id.class 'Text'" without anything the visitor typed
+function describeElement(element) {
+    const target = element.closest('button, a, input, select, textarea, label, [role="tab"]') || element;
+    const id = target.id ? `#${target.id}` : '';
+    const classes = [...target.classList].slice(0, 2).map(name => `.${name}`).join('');
+    let detail = '';
+
+    if (target.matches('input, select, textarea')) {
+        detail = target.name ? `[name=${target.name}]` : '';
+    } else {
+        const text = target.textContent.trim().replace(/\s+/g, ' ').slice(0, 40);
+        detail = text ? ` "${text}"` : '';
+    }
+
+    return `${target.localName}${id}${classes}${detail}`;
+}
+
+export const errorReporter = new ErrorReporter();
@@ -0,0 +1,51 @@
+// Error Report Sinks
+// Where ErrorReporter delivers its batches. HttpSink posts them to the
+// configured endpoint; MemorySink keeps them in `reports` for tests and the
+// console (set `sink: 'memory'` in window.HermesConfig.errors).
+export class HttpSink {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+    }
+
+    // While the page unloads only a beacon is guaranteed to leave
+    send(batch, { unloading = false } = {}) {
+        const body = JSON.stringify(batch);
+
+        if (unloading && navigator.sendBeacon?.(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+            return;
+        }
+
+        fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(() => {
+            // Reporting must never raise errors of its own
+        });
+    }
+}
+
+export class MemorySink extends EventTarget {
+    constructor() {
+        super();
+        this.batches = [];
+    }
+
+    get reports() {
+        return this.batches.flatMap(batch => batch.reports);
+    }
+
+    send(batch) {
+        this.batches.push(batch);
+        this.dispatchEvent(new CustomEvent('batch', { detail: batch }));
+    }
+
+    clear() {
+        this.batches = [];
+    }
+}
+
+export function createSink({ sink, endpoint }) {
+    return sink === 'memory' ? new MemorySink() : new HttpSink(endpoint);
+}
@@ -0,0 +1,68 @@
+// Stack Normalisation
+// Browsers format stacks differently:
+//   Chromium  "    at handleSubmit (http://host/src/components/contact-form.js:120:15)"
+//   Firefox   "handleSubmit@http://host/src/components/contact-form.js:120:15"
+// Both are reduced to frames of { fn, file, line, column } with the origin and
+// cache-busting query stripped, so the same error groups together across
+// browsers and deploys.
+const CHROME_FRAME = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/;
+const GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/;
+const MAX_FRAMES = 30;
+
+function cleanFile(file) {
+    try {
+        const url = new URL(file, location.href);
+        url.search = '';
+        url.hash = '';
+        return url.origin === location.origin ? url.pathname : url.href;
+    } catch (error) {
+        return file;
+    }
+}
+
+export function parseStack(stack = '') {
+    return stack.split('\n').reduce((frames, line) => {
+        if (frames.length >= MAX_FRAMES) return frames;
+
+        const match = line.match(CHROME_FRAME) || line.match(GECKO_FRAME);
+        if (match) {
+            frames.push({
+                fn: match[1] || '<anonymous>',
+                file: cleanFile(match[2]),
+                line: Number(match[3]),
+                column: Number(match[4])
+            });
+        }
+        return frames;
+    }, []);
+}
+
+// Accepts anything that can be thrown or rejected with. Errors from other
+// realms (iframes, workers) fail instanceof, so objects are read by shape.
+export function normalizeError(error) {
+    if (error && typeof error === 'object') {
+        return {
+            name: error.name || (error instanceof Error ? 'Error' : 'NonError'),
+            message: String(error.message ?? describeValue(error)),
+            frames: typeof error.stack === 'string' ? parseStack(error.stack) : []
+        };
+    }
+
+    return { name: 'NonError', message: String(error), frames: [] };
+}
+
+function describeValue(value) {
+    try {
+        return JSON.stringify(value);
+    } catch (error) {
+        return Object.prototype.toString.call(value);
+    }
+}
+
+// Groups occurrences of "the same" error: numbers and quoted values in the
+// message often vary (ids, counts), the throwing location does not
+export function fingerprint({ name, message, frames }) {
+    const top = frames[0];
+    const stableMessage = message.replace(/\d+/g, 'N').replace(/(["']).*?\1/g, '$1…$1');
+    return [name, stableMessage, top ? `${top.file}:${top.line}` : ''].join('|');
+}
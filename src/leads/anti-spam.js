@@ -0,0 +1,192 @@
+import { AppConfig } from '../core/config.js';
+import { solveChallenge } from './proof-of-work.js';
+
+// Spam Guard
+// Layered checks for a lead form, none of them relying on a third party:
+// - a honeypot field people never see, so anything typed into it is a bot;
+// - a minimum time between the form appearing and being sent;
+// - a per-browser limit of rateLimit submissions per rateWindow;
+// - an optional proof of work on a challenge issued by the endpoint
+//   (challengeEndpoint), fetched and solved in a worker on the first
+//   interaction so it is usually done by the time the visitor submits.
+// Every lead then carries an `antispam` block with those facts and the solved
+// challenge. Nothing in it is secret: the endpoint signs its challenges with
+// a key only it holds and checks the signature, expiry, hash and reuse itself.
+export class SpamGuardError extends Error {
+    constructor(message, reason, { retryAt = null } = {}) {
+        super(message);
+        this.name = 'SpamGuardError';
+        this.reason = reason;
+        this.retryAt = retryAt;
+    }
+}
+
+export class SpamGuard {
+    constructor(form, options = AppConfig.antiSpam) {
+        this.form = form;
+        this.options = options;
+        this.interactions = 0;
+        this.solution = null;
+        this.issued = null;
+        this.reset();
+
+        this.onInteraction = () => {
+            this.interactions++;
+            this.startProofOfWork();
+        };
+        form.addEventListener('keydown', this.onInteraction);
+        form.addEventListener('pointerdown', this.onInteraction);
+    }
+
+    destroy() {
+        this.form.removeEventListener('keydown', this.onInteraction);
+        this.form.removeEventListener('pointerdown', this.onInteraction);
+        this.solution = null;
+    }
+
+    get honeypot() {
+        return this.form.elements.namedItem(this.options.honeypotField);
+    }
+
+    // Starts over for the next lead: new clock, and a new challenge on the
+    // next interaction
+    reset() {
+        this.startedAt = Date.now();
+        this.solution = null;
+        this.issued = null;
+    }
+
+    // After a failed attempt: the endpoint may have spent the challenge, so the
+    // next one solves a fresh challenge but keeps the clock and the history
+    discardProof() {
+        this.solution = null;
+        this.issued = null;
+    }
+
+    // Throws a SpamGuardError when the submission should not be sent
+    check() {
+        if (this.honeypot?.value) {
+            throw new SpamGuardError('Honeypot field was filled in', 'honeypot');
+        }
+
+        if (Date.now() - this.startedAt < this.options.minSubmitTime) {
+            throw new SpamGuardError('Form was submitted too quickly', 'too-fast');
+        }
+
+        const recent = this.recentSubmissions();
+        if (recent.length >= this.options.rateLimit) {
+            throw new SpamGuardError('Too many submissions from this browser', 'rate-limited', {
+                retryAt: recent[0] + this.options.rateWindow
+            });
+        }
+    }
+
+    recentSubmissions() {
+        let times = [];
+
+        try {
+            times = JSON.parse(localStorage.getItem(this.options.storageKey)) || [];
+        } catch (error) {
+            // Unreadable history counts as none
+        }
+
+        const now = Date.now();
+        return times.filter(time => now - time < this.options.rateWindow).sort((a, b) => a - b);
+    }
+
+    recordSubmission() {
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify([...this.recentSubmissions(), Date.now()]));
+        } catch (error) {
+            // Storage can be unavailable in private mode; the endpoint still limits
+        }
+    }
+
+    // Data as it should be sent: without the honeypot
+    strip(data) {
+        const { [this.options.honeypotField]: honeypot, ...rest } = data;
+        return rest;
+    }
+
+    async fetchChallenge() {
+        const response = await fetch(this.options.challengeEndpoint, {
+            headers: { 'Accept': 'application/json' }
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // The endpoint's challenge ({ challenge, difficulty, expiresAt, token })
+    // with the nonce that solves it
+    async solve(issued) {
+        const { challenge, difficulty } = issued;
+        let solved;
+
+        if (window.Worker) {
+            const worker = new Worker(new URL('./pow-worker.js', import.meta.url), { type: 'module' });
+            solved = await new Promise((resolve, reject) => {
+                worker.addEventListener('message', (e) => resolve(e.data));
+                worker.addEventListener('error', (e) => reject(e.error ?? new Error(e.message || 'Proof-of-work worker failed')));
+                worker.postMessage({ challenge, difficulty });
+            }).finally(() => worker.terminate());
+        } else {
+            solved = await solveChallenge(challenge, difficulty);
+        }
+
+        return { ...issued, nonce: solved.nonce };
+    }
+
+    startProofOfWork() {
+        if (this.solution || !this.options.proofOfWork || !window.crypto?.subtle) return;
+
+        const solution = this.fetchChallenge()
+            .then(issued => {
+                if (this.solution === solution) this.issued = issued;
+                return this.solve(issued);
+            })
+            .catch(error => {
+                console.warn('Proof of work failed:', error);
+                return null;
+            });
+        this.solution = solution;
+    }
+
+    // Waits at most powTimeout for the proof of work. A challenge that would
+    // expire before reaching the endpoint is swapped for a fresh one. A lead
+    // without a proof is still sent; the endpoint treats it with more
+    // suspicion rather than refusing it.
+    async proofOfWork() {
+        if (this.issued && this.issued.expiresAt <= Date.now() + this.options.powTimeout) {
+            this.solution = null;
+            this.issued = null;
+        }
+
+        this.startProofOfWork();
+        if (!this.solution) return null;
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), this.options.powTimeout);
+        });
+
+        try {
+            return await Promise.race([this.solution, timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Resolves to the `antispam` block for a submission
+    async collect(submissionId) {
+        return {
+            version: 2,
+            submissionId,
+            startedAt: this.startedAt,
+            submittedAt: Date.now(),
+            interactions: this.interactions,
+            pow: await this.proofOfWork()
+        };
+    }
+}
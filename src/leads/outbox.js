@@ -0,0 +1,153 @@
+import { AppConfig } from '../core/config.js';
+import { errorReporter } from '../errors/reporter.js';
+import { LeadTransport, SubmissionError } from './transport.js';
+
+// Offline Outbox for Lead Submissions
+// Submissions that could not be delivered are stored in IndexedDB and replayed
+// by the service worker (Background Sync) or, without one, on the `online` event.
+// public/sw.js reads the same database, so keep the schema in sync with it.
+export function createSubmissionId() {
+    if (window.crypto?.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export class LeadOutbox extends EventTarget {
+    constructor() {
+        super();
+        this.isSupported = 'indexedDB' in window;
+        this.inFlight = new Set();
+        this.dbPromise = null;
+
+        if (this.isSupported) {
+            this.init();
+        }
+    }
+
+    init() {
+        window.addEventListener('online', () => this.replay());
+
+        navigator.serviceWorker?.addEventListener('message', (e) => {
+            if (e.data?.type === 'lead-outbox:sent') {
+                this.emit('sent', e.data.entry, e.data.sentAt);
+            } else if (e.data?.type === 'lead-outbox:failed') {
+                this.emit('failed', e.data.entry, e.data.sentAt);
+            }
+        });
+
+        // Pick up anything left over from a previous visit
+        if (navigator.onLine) {
+            this.replay();
+        }
+    }
+
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(AppConfig.outbox.database, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(AppConfig.outbox.store, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async withStore(mode, callback) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(AppConfig.outbox.store, mode);
+            const request = callback(transaction.objectStore(AppConfig.outbox.store));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    add(entry) {
+        return this.withStore('readwrite', store => store.put(entry));
+    }
+
+    remove(id) {
+        return this.withStore('readwrite', store => store.delete(id));
+    }
+
+    async entries() {
+        const entries = await this.withStore('readonly', store => store.getAll());
+        return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+    }
+
+    async queue(id, endpoint, payload) {
+        const entry = { id, endpoint, payload, queuedAt: Date.now() };
+        await this.add(entry);
+        this.emit('queued', entry);
+        this.replay();
+        return entry;
+    }
+
+    async replay() {
+        const registration = await navigator.serviceWorker?.getRegistration();
+
+        if (registration?.sync) {
+            try {
+                await registration.sync.register(AppConfig.outbox.syncTag);
+                return;
+            } catch (error) {
+                // Background Sync can be disabled by the user; fall through
+            }
+        }
+
+        if (navigator.onLine) {
+            await this.flush();
+        }
+    }
+
+    async flush() {
+        const entries = await this.entries();
+
+        for (const entry of entries) {
+            if (this.inFlight.has(entry.id)) continue;
+            this.inFlight.add(entry.id);
+
+            try {
+                const transport = new LeadTransport({ endpoint: entry.endpoint, retries: 0 });
+                await transport.submit(entry.payload, { submissionId: entry.id });
+                await this.remove(entry.id);
+                this.emit('sent', entry, Date.now());
+            } catch (error) {
+                // Anything but a rejection from the endpoint is a bug on our
+                // side; the lead stays queued for the next trigger
+                if (!(error instanceof SubmissionError)) {
+                    console.error('Outbox flush failed:', error);
+                    errorReporter.capture(error, { component: 'LeadOutbox', context: { phase: 'flush' } });
+                    break;
+                }
+                if (error.retryable) {
+                    // Still offline or the server is down; wait for the next trigger
+                    break;
+                }
+                await this.remove(entry.id);
+                this.emit('failed', entry, Date.now(), error);
+            } finally {
+                this.inFlight.delete(entry.id);
+            }
+        }
+    }
+
+    emit(type, entry, at = Date.now(), error = null) {
+        this.dispatchEvent(new CustomEvent(type, { detail: { entry, at, error } }));
+    }
+}
+
+let sharedOutbox = null;
+
+// One outbox per page, created by the first form that needs it, so remounted
+// forms do not stack up listeners or replay the queue twice
+export function getLeadOutbox() {
+    if (!sharedOutbox) {
+        sharedOutbox = new LeadOutbox();
+    }
+    return sharedOutbox;
+}
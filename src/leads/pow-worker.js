@@ -0,0 +1,6 @@
+// Worker entry for the anti-spam proof of work (see SpamGuard)
+import { solveChallenge } from './proof-of-work.js';
+
+self.addEventListener('message', async ({ data }) => {
+    self.postMessage(await solveChallenge(data.challenge, data.difficulty));
+});
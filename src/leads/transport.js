@@ -0,0 +1,89 @@
+import { AppConfig } from '../core/config.js';
+import { i18n } from '../core/i18n.js';
+
+// Lead Submission Transport
+export class SubmissionError extends Error {
+    constructor(message, { status = 0, fieldErrors = {}, retryable = false } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+        this.fieldErrors = fieldErrors;
+        this.retryable = retryable;
+    }
+}
+
+export class LeadTransport {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || AppConfig.leads.endpoint;
+        this.timeout = options.timeout ?? AppConfig.leads.timeout;
+        this.retries = options.retries ?? AppConfig.leads.retries;
+        this.retryDelay = options.retryDelay ?? AppConfig.leads.retryDelay;
+    }
+
+    async submit(data, { submissionId } = {}) {
+        let attempt = 0;
+
+        while (true) {
+            try {
+                return await this.send(data, submissionId);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.retries) {
+                    throw error;
+                }
+
+                // Exponential backoff with jitter: 800ms, 1600ms, 3200ms...
+                const delay = this.retryDelay * 2 ** attempt + Math.random() * 200;
+                attempt++;
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async send(data, submissionId) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'Accept-Language': i18n.locale
+        };
+        let response;
+
+        // Lets the server drop duplicate replays of the same submission
+        if (submissionId) {
+            headers['Idempotency-Key'] = submissionId;
+        }
+
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(data),
+                signal: controller.signal
+            });
+        } catch (error) {
+            const message = error.name === 'AbortError' ? 'Request timed out' : 'Network error';
+            throw new SubmissionError(message, { retryable: true });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const body = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+            return body;
+        }
+
+        if (response.status === 422 || response.status === 400) {
+            throw new SubmissionError(body.message || 'Validation failed', {
+                status: response.status,
+                fieldErrors: body.errors || {}
+            });
+        }
+
+        throw new SubmissionError(body.message || `Server responded with ${response.status}`, {
+            status: response.status,
+            retryable: response.status >= 500 || response.status === 429
+        });
+    }
+}
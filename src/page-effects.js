@@ -0,0 +1,94 @@
+import { scrollToSection } from './core/scroll.js';
+
+// Page Effects
+// Small behaviours shared by the whole page. They are delegated from the
+// document, so markup injected later picks them up without being mounted.
+const HOVER_CARD_SELECTOR = '.problem-card, .solution-card, .innovation-card, .analytics-card';
+
+export function setupPageEffects() {
+    document.addEventListener('click', (e) => {
+        // Buttons that scroll to a section: <button data-scroll-to="contact">
+        const scrollTrigger = e.target.closest('[data-scroll-to]');
+        if (scrollTrigger) {
+            scrollToSection(scrollTrigger.dataset.scrollTo);
+        }
+
+        // Add loading animation to buttons
+        const button = e.target.closest('.btn');
+        if (button) {
+            button.style.transform = 'scale(0.95)';
+            setTimeout(() => {
+                button.style.transform = '';
+            }, 150);
+        }
+    });
+
+    // mouseenter/mouseleave do not bubble, so listen in the capture phase
+    document.addEventListener('mouseenter', (e) => {
+        if (!(e.target instanceof Element)) return;
+
+        // Add smooth hover effects
+        if (e.target.matches(HOVER_CARD_SELECTOR)) {
+            e.target.style.transform = 'translateY(-8px)';
+        }
+
+        // Tooltips for technical terms
+        if (e.target.matches('[data-tooltip]')) {
+            showTooltip(e.target);
+        }
+    }, true);
+
+    document.addEventListener('mouseleave', (e) => {
+        if (!(e.target instanceof Element)) return;
+
+        if (e.target.matches(HOVER_CARD_SELECTOR)) {
+            e.target.style.transform = 'translateY(0)';
+        }
+
+        if (e.target.matches('[data-tooltip]')) {
+            hideTooltip(e.target);
+        }
+    }, true);
+}
+
+function showTooltip(element) {
+    const tooltip = document.createElement('div');
+    tooltip.className = 'tooltip';
+    tooltip.textContent = element.dataset.tooltip;
+    tooltip.style.cssText = `
+        position: absolute;
+        background: var(--gray-900);
+        color: white;
+        padding: var(--space-2) var(--space-3);
+        border-radius: var(--radius-base);
+        font-size: var(--font-size-sm);
+        z-index: 1000;
+        pointer-events: none;
+        opacity: 0;
+        transition: opacity var(--transition-base);
+    `;
+    
+    document.body.appendChild(tooltip);
+    
+    const rect = element.getBoundingClientRect();
+    tooltip.style.left = rect.left + rect.width / 2 - tooltip.offsetWidth / 2 + 'px';
+    tooltip.style.top = rect.top - tooltip.offsetHeight - 10 + 'px';
+    
+    setTimeout(() => {
+        tooltip.style.opacity = '1';
+    }, 10);
+    
+    element._tooltip = tooltip;
+}
+
+function hideTooltip(element) {
+    if (element._tooltip) {
+        element._tooltip.style.opacity = '0';
+        setTimeout(() => {
+            if (element._tooltip) {
+                element._tooltip.remove();
+                delete element._tooltip;
+            }
+        }, 200);
+    }
+}
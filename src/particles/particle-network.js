@@ -0,0 +1,246 @@
+// Particle network for the hero background.
+// Runs either inside particle-worker.js, rendering into the OffscreenCanvas
+// handed over by ParticleSystem, or directly on the main thread when
+// OffscreenCanvas or Worker is unavailable. Both paths drive the same
+// ParticleNetwork through handle(message). Colours arrive as resolved CSS
+// colours: a worker cannot read the theme's custom properties, so
+// ParticleSystem looks them up and sends new ones on every theme change.
+
+export const PARTICLE_DEFAULTS = {
+    density: 0.6,           // particles per 10,000 CSS px² of hero
+    minCount: 16,
+    maxCount: 110,
+    linkDistance: 130,
+    speed: 0.35,
+    pointer: 'attract',     // attract | repel | none
+    pointerRadius: 180,
+    pointerForce: 0.6
+};
+
+// Frame budget used to adapt the particle count (ms between frames)
+const PARTICLE_SLOW_FRAME = 1000 / 45;
+const PARTICLE_FAST_FRAME = 1000 / 55;
+const PARTICLE_FRAME_SAMPLES = 30;
+
+const requestFrame = typeof requestAnimationFrame === 'function'
+    ? callback => requestAnimationFrame(callback)
+    : callback => setTimeout(() => callback(performance.now()), 16);
+
+const cancelFrame = typeof cancelAnimationFrame === 'function'
+    ? id => cancelAnimationFrame(id)
+    : id => clearTimeout(id);
+
+export class ParticleNetwork {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.options = { ...PARTICLE_DEFAULTS, ...options };
+        this.particles = [];
+        this.pointer = null;
+        this.width = 0;
+        this.height = 0;
+        this.dpr = 1;
+        this.targetCount = 0;
+        this.count = 0;
+        this.frameTimes = [];
+        this.lastFrame = 0;
+        this.running = false;
+        this.frame = null;
+    }
+
+    handle(message) {
+        switch (message.type) {
+            case 'resize':
+                this.resize(message.width, message.height, message.dpr);
+                break;
+            case 'options':
+                this.setOptions(message.options);
+                break;
+            case 'pointer':
+                this.pointer = message.pointer;
+                break;
+            case 'start':
+                this.start();
+                break;
+            case 'stop':
+                this.stop();
+                break;
+            case 'draw':
+                this.draw();
+                break;
+        }
+    }
+
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+        this.resize(this.width, this.height, this.dpr);
+    }
+
+    resize(width, height, dpr = 1) {
+        this.width = width;
+        this.height = height;
+        this.dpr = dpr;
+        this.canvas.width = Math.round(width * dpr);
+        this.canvas.height = Math.round(height * dpr);
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+        const { density, minCount, maxCount } = this.options;
+        const byArea = Math.round((width * height / 10000) * density);
+        this.targetCount = Math.max(minCount, Math.min(maxCount, byArea));
+        this.count = this.count ? Math.min(this.count, this.targetCount) : this.targetCount;
+        this.frameTimes = [];
+
+        this.particles.forEach(particle => {
+            particle.x = Math.min(particle.x, width);
+            particle.y = Math.min(particle.y, height);
+        });
+        this.syncParticles();
+        this.draw();
+    }
+
+    syncParticles() {
+        while (this.particles.length < this.count) {
+            this.particles.push(this.createParticle());
+        }
+        this.particles.length = this.count;
+    }
+
+    createParticle() {
+        const { speed } = this.options;
+        const angle = Math.random() * Math.PI * 2;
+        const velocity = speed * (0.5 + Math.random() * 0.5);
+
+        return {
+            x: Math.random() * this.width,
+            y: Math.random() * this.height,
+            vx: Math.cos(angle) * velocity,
+            vy: Math.sin(angle) * velocity,
+            baseVx: Math.cos(angle) * velocity,
+            baseVy: Math.sin(angle) * velocity,
+            size: Math.random() * 2 + 1,
+            opacity: Math.random() * 0.5 + 0.2
+        };
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.lastFrame = 0;
+        this.frame = requestFrame(now => this.tick(now));
+    }
+
+    stop() {
+        this.running = false;
+        cancelFrame(this.frame);
+        this.frame = null;
+    }
+
+    tick(now) {
+        if (!this.running) return;
+
+        if (this.lastFrame) {
+            this.sampleFrame(now - this.lastFrame);
+        }
+        this.lastFrame = now;
+
+        this.step();
+        this.draw();
+        this.frame = requestFrame(time => this.tick(time));
+    }
+
+    // Drops particles while frames run long and adds them back (up to the
+    // size-based target) once there is headroom again
+    sampleFrame(delta) {
+        // Ignore gaps from throttled or backgrounded frames
+        if (delta > 250) return;
+
+        this.frameTimes.push(delta);
+        if (this.frameTimes.length < PARTICLE_FRAME_SAMPLES) return;
+
+        const average = this.frameTimes.reduce((sum, time) => sum + time, 0) / this.frameTimes.length;
+        this.frameTimes = [];
+
+        if (average > PARTICLE_SLOW_FRAME && this.count > this.options.minCount) {
+            this.count = Math.max(this.options.minCount, Math.floor(this.count * 0.85));
+        } else if (average < PARTICLE_FAST_FRAME && this.count < this.targetCount) {
+            this.count = Math.min(this.targetCount, this.count + 4);
+        } else {
+            return;
+        }
+
+        this.syncParticles();
+    }
+
+    step() {
+        const { pointer, pointerRadius, pointerForce } = this.options;
+        const target = pointer !== 'none' ? this.pointer : null;
+        const direction = pointer === 'repel' ? -1 : 1;
+
+        this.particles.forEach(particle => {
+            if (target) {
+                const dx = target.x - particle.x;
+                const dy = target.y - particle.y;
+                const distance = Math.hypot(dx, dy);
+
+                if (distance > 1 && distance < pointerRadius) {
+                    const force = (1 - distance / pointerRadius) * pointerForce * 0.05 * direction;
+                    particle.vx += (dx / distance) * force;
+                    particle.vy += (dy / distance) * force;
+                }
+            }
+
+            // Ease back towards the particle's own drift
+            particle.vx += (particle.baseVx - particle.vx) * 0.02;
+            particle.vy += (particle.baseVy - particle.vy) * 0.02;
+
+            particle.x += particle.vx;
+            particle.y += particle.vy;
+
+            // Bounce off the edges so links never stretch across the canvas
+            if (particle.x < 0 || particle.x > this.width) {
+                particle.vx *= -1;
+                particle.baseVx *= -1;
+                particle.x = Math.max(0, Math.min(this.width, particle.x));
+            }
+            if (particle.y < 0 || particle.y > this.height) {
+                particle.vy *= -1;
+                particle.baseVy *= -1;
+                particle.y = Math.max(0, Math.min(this.height, particle.y));
+            }
+        });
+    }
+
+    draw() {
+        const { ctx, particles } = this;
+        const { color, lineColor, linkDistance } = this.options;
+
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        // Links
+        ctx.strokeStyle = lineColor;
+        ctx.lineWidth = 1;
+        for (let i = 0; i < particles.length; i++) {
+            for (let j = i + 1; j < particles.length; j++) {
+                const distance = Math.hypot(particles[i].x - particles[j].x, particles[i].y - particles[j].y);
+                if (distance >= linkDistance) continue;
+
+                ctx.globalAlpha = (1 - distance / linkDistance) * 0.35;
+                ctx.beginPath();
+                ctx.moveTo(particles[i].x, particles[i].y);
+                ctx.lineTo(particles[j].x, particles[j].y);
+                ctx.stroke();
+            }
+        }
+
+        // Dots
+        ctx.fillStyle = color;
+        particles.forEach(particle => {
+            ctx.globalAlpha = particle.opacity;
+            ctx.beginPath();
+            ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.globalAlpha = 1;
+    }
+}
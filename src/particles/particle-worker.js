@@ -0,0 +1,14 @@
+// Worker entry for the hero particle network (see ParticleSystem)
+import { ParticleNetwork } from './particle-network.js';
+
+let network = null;
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'init') {
+        network = new ParticleNetwork(data.canvas, data.options);
+        network.resize(data.width, data.height, data.dpr);
+        return;
+    }
+
+    network?.handle(data);
+});
@@ -0,0 +1,91 @@
+// Pricing Model
+// Turns the plan config (public/data/pricing.json) and a selection into a
+// quote. Prices in the config are monthly, either per seat (seatPrice) or per
+// account (flatPrice), in baseCurrency; every currency carries its rate from
+// the base. Plans may limit seats with minSeats/maxSeats and include add-ons
+// for free through includedAddons.
+export const BILLING_PERIODS = ['monthly', 'annual'];
+
+export class PricingModel {
+    constructor(config) {
+        this.config = config;
+        this.plans = config.plans;
+        this.addons = config.addons || [];
+        this.currencies = config.currencies;
+        this.annualDiscount = config.annualDiscount || 0;
+    }
+
+    get seats() {
+        return { min: 1, max: 500, step: 1, default: 10, ...this.config.seats };
+    }
+
+    getPlan(id) {
+        return this.plans.find(plan => plan.id === id) ?? null;
+    }
+
+    getCurrency(code) {
+        return this.currencies.find(currency => currency.code === code)
+            ?? this.currencies.find(currency => currency.code === this.config.baseCurrency)
+            ?? this.currencies[0];
+    }
+
+    currencyForLocale(locale) {
+        return this.getCurrency(this.config.localeCurrency?.[locale]).code;
+    }
+
+    isAvailable(plan, seats) {
+        return seats >= (plan.minSeats ?? 1) && seats <= (plan.maxSeats ?? Infinity);
+    }
+
+    isIncluded(plan, addonId) {
+        return Boolean(plan.includedAddons?.includes(addonId));
+    }
+
+    // The selected plan if the seat count allows it, otherwise the closest one that does
+    resolvePlan(id, seats) {
+        const plan = this.getPlan(id) ?? this.getPlan(this.config.defaultPlan) ?? this.plans[0];
+        if (this.isAvailable(plan, seats)) return plan;
+
+        const start = this.plans.indexOf(plan);
+        const ordered = [...this.plans.slice(start), ...this.plans.slice(0, start).reverse()];
+        return ordered.find(candidate => this.isAvailable(candidate, seats)) ?? plan;
+    }
+
+    monthlyPrice(item, seats) {
+        return (item.seatPrice || 0) * seats + (item.flatPrice || 0);
+    }
+
+    quote({ planId, seats, billing = 'monthly', addons = [], currency }) {
+        const plan = this.getPlan(planId);
+        if (!plan) {
+            throw new Error(`Unknown plan "${planId}"`);
+        }
+
+        const { code, rate } = this.getCurrency(currency);
+        const months = billing === 'annual' ? 12 : 1;
+        const discount = billing === 'annual' ? this.annualDiscount : 0;
+
+        const lines = [{ id: plan.id, name: plan.name, monthly: this.monthlyPrice(plan, seats) * rate }];
+        this.addons.forEach(addon => {
+            if (!addons.includes(addon.id) || this.isIncluded(plan, addon.id)) return;
+            lines.push({ id: addon.id, name: addon.name, monthly: this.monthlyPrice(addon, seats) * rate });
+        });
+
+        const monthly = lines.reduce((sum, line) => sum + line.monthly, 0);
+        const subtotal = monthly * months;
+        const total = subtotal * (1 - discount);
+
+        return {
+            plan,
+            seats,
+            billing,
+            currency: code,
+            lines,
+            subtotal,
+            savings: subtotal - total,
+            total,
+            perMonth: total / months,
+            perSeat: total / months / seats
+        };
+    }
+}
@@ -0,0 +1,83 @@
+// ROI Model
+// Projects what a team saves by running its coordination in HermesTeam. The
+// assumptions come from public/data/roi.json: the share of coordination time
+// saved (the 50% on the hero), the admin hours every separate tool costs a
+// person each week and the share of them that goes away (the 67% in
+// #analytics), one-off onboarding hours per person and weeks per month. Tool
+// seat prices and the hourly cost range are monthly amounts in the pricing
+// baseCurrency; the HermesTeam subscription is quoted by PricingModel.
+const DEFAULT_ASSUMPTIONS = {
+    coordinationSavings: 0.5,
+    adminHoursPerTool: 0,
+    adminSavings: 0,
+    onboardingHours: 0,
+    weeksPerMonth: 4.33,
+    plan: 'team',
+    billing: 'monthly'
+};
+
+export class RoiModel {
+    constructor(config, pricing) {
+        this.config = config;
+        this.pricing = pricing;
+        this.tools = config.tools || [];
+        this.assumptions = { ...DEFAULT_ASSUMPTIONS, ...config.assumptions };
+    }
+
+    getTool(id) {
+        return this.tools.find(tool => tool.id === id) ?? null;
+    }
+
+    // Input limits; the hourly cost ones are converted to the currency
+    range(name, currency) {
+        const range = { min: 0, max: 100, step: 1, default: 0, ...this.config.inputs?.[name] };
+        if (name !== 'hourlyCost') return range;
+
+        const { rate } = this.pricing.getCurrency(currency);
+        if (rate === 1) return range;
+
+        const convert = value => Math.max(1, Math.round(value * rate));
+        return { min: convert(range.min), max: convert(range.max), step: 1, default: convert(range.default) };
+    }
+
+    get defaultTools() {
+        return (this.config.inputs?.tools || []).filter(id => this.getTool(id));
+    }
+
+    calculate({ teamSize, hourlyCost, coordinationHours, tools = [], currency }) {
+        const assumptions = this.assumptions;
+        const { code, rate } = this.pricing.getCurrency(currency);
+        const used = this.tools.filter(tool => tools.includes(tool.id));
+
+        // Hours per person per week
+        const adminHours = used.length * assumptions.adminHoursPerTool;
+        const hoursNow = coordinationHours + adminHours;
+        const hoursSaved = coordinationHours * assumptions.coordinationSavings + adminHours * assumptions.adminSavings;
+        const teamMonth = hours => hours * assumptions.weeksPerMonth * teamSize;
+
+        const plan = this.pricing.resolvePlan(assumptions.plan, teamSize);
+        const quote = this.pricing.quote({ planId: plan.id, seats: teamSize, billing: assumptions.billing, currency: code });
+
+        const toolCost = used.reduce((sum, tool) => sum + (tool.seatPrice || 0), 0) * teamSize * rate;
+        const costNow = teamMonth(hoursNow) * hourlyCost + toolCost;
+        const costWith = teamMonth(hoursNow - hoursSaved) * hourlyCost + quote.perMonth;
+        const monthlySavings = costNow - costWith;
+        const setupCost = assumptions.onboardingHours * teamSize * hourlyCost;
+
+        return {
+            currency: code,
+            plan,
+            billing: assumptions.billing,
+            subscription: quote.perMonth,
+            toolCost,
+            hoursSaved: teamMonth(hoursSaved),
+            costNow,
+            costWith,
+            monthlySavings,
+            annualSavings: monthlySavings * 12,
+            setupCost,
+            // Months until the savings cover onboarding; null when there are none
+            paybackMonths: monthlySavings > 0 ? setupCost / monthlySavings : null
+        };
+    }
+}
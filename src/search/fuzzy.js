@@ -0,0 +1,85 @@
+// Fuzzy Matching
+// Subsequence matching for the command palette: every query character must
+// appear in the text in order, not necessarily next to each other. Runs of
+// consecutive characters and matches at word starts score higher, so
+// "kanb" ranks "Kanban boards" above "task and budget". Spaces in the query
+// split it into words that are matched independently, in any order.
+const CONSECUTIVE_BONUS = 5;
+const WORD_START_BONUS = 8;
+const GAP_PENALTY = 1;
+const MIN_CHAR_SCORE = 2;
+
+// Case- and ё-insensitive; keeps the length so match ranges map onto the original
+export function normalize(text) {
+    return String(text).toLowerCase().replace(/ё/g, 'е');
+}
+
+function isWordStart(text, index) {
+    return index === 0 || /[\s\-–—/(«"'.,:;]/.test(text[index - 1]);
+}
+
+// Tries every occurrence of the word's first character as the anchor and
+// keeps the best-scoring greedy match. Matches spread so thinly that they
+// average under MIN_CHAR_SCORE per character are treated as no match.
+function matchWord(word, text) {
+    let best = null;
+
+    for (let start = text.indexOf(word[0]); start !== -1; start = text.indexOf(word[0], start + 1)) {
+        const positions = [start];
+        for (let q = 1; q < word.length && positions.length === q; q++) {
+            const next = text.indexOf(word[q], positions[q - 1] + 1);
+            if (next !== -1) positions.push(next);
+        }
+        if (positions.length < word.length) break;
+
+        const score = scorePositions(text, positions);
+        if (!best || score > best.score) best = { score, positions };
+    }
+
+    return best && best.score >= word.length * MIN_CHAR_SCORE ? best : null;
+}
+
+function scorePositions(text, positions) {
+    let score = 0;
+    positions.forEach((position, q) => {
+        score += 1;
+        if (isWordStart(text, position)) score += WORD_START_BONUS;
+        if (q > 0) {
+            const gap = position - positions[q - 1] - 1;
+            score += gap === 0 ? CONSECUTIVE_BONUS : -Math.min(gap, 10) * GAP_PENALTY;
+        }
+    });
+    return score;
+}
+
+// { score, ranges: [[start, end], ...] } or null when some word does not match
+export function fuzzyMatch(query, text) {
+    const words = normalize(query).split(/\s+/).filter(Boolean);
+    if (words.length === 0 || !text) return null;
+
+    const haystack = normalize(text);
+    let score = 0;
+    const positions = [];
+
+    for (const word of words) {
+        const match = matchWord(word, haystack);
+        if (!match) return null;
+        score += match.score;
+        positions.push(...match.positions);
+    }
+
+    return { score, ranges: toRanges(positions) };
+}
+
+function toRanges(positions) {
+    const ranges = [];
+    [...new Set(positions)].sort((a, b) => a - b).forEach(position => {
+        const last = ranges.at(-1);
+        if (last && last[1] === position) {
+            last[1] = position + 1;
+        } else {
+            ranges.push([position, position + 1]);
+        }
+    });
+    return ranges;
+}
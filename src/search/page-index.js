@@ -0,0 +1,103 @@
+import { fuzzyMatch } from './fuzzy.js';
+
+// Page Search Index
+// Flat list of searchable entries read from the rendered page, so it always
+// matches the current locale and whatever tabs components have generated.
+// Entry: { kind, title, context, text, section, tabs, tabId } where `section`
+// is the id to scroll to and `tabs`/`tabId` name the tab group element and
+// the tab that has to be active for the entry to be visible.
+const TABS_SELECTOR = '[data-component~="tabs"]';
+const TITLE_WEIGHT = 2;
+
+function textOf(element) {
+    return element?.textContent.replace(/\s+/g, ' ').trim() || '';
+}
+
+function sectionTitle(section) {
+    return textOf(section.querySelector('.section-title, h1, h2'));
+}
+
+// The tab button that controls `panel`, found the way TabController pairs them
+function tabFor(panel) {
+    const tabs = panel.closest(TABS_SELECTOR);
+    const tabId = panel.id.replace(/^(tab|example)-/, '');
+    const button = tabs?.querySelector(`[data-tab="${tabId}"], [data-example="${tabId}"]`);
+    return { tabs, tabId, label: textOf(button) };
+}
+
+export function buildPageIndex(root = document) {
+    const entries = [];
+
+    root.querySelectorAll('section[id]').forEach(section => {
+        const title = sectionTitle(section);
+        if (!title) return;
+
+        entries.push({
+            kind: 'section',
+            title,
+            context: '',
+            text: textOf(section.querySelector('.section-subtitle, .hero-description, h2 + p')),
+            section: section.id
+        });
+    });
+
+    root.querySelectorAll('.tab-content').forEach(panel => {
+        const details = panel.querySelector('.feature-details');
+        if (!details) return;
+
+        const section = panel.closest('section[id]');
+        const { tabs, tabId, label } = tabFor(panel);
+        const context = [sectionTitle(section), label].filter(Boolean).join(' › ');
+        const base = { kind: 'feature', context, section: section.id, tabs, tabId };
+
+        entries.push({
+            ...base,
+            title: textOf(details.querySelector('h3')) || label,
+            text: textOf(details.querySelector('p'))
+        });
+        details.querySelectorAll('.feature-list li').forEach(item => {
+            entries.push({ ...base, title: textOf(item), text: '' });
+        });
+    });
+
+    root.querySelectorAll('.example-content').forEach(panel => {
+        const section = panel.closest('section[id]');
+        const { tabs, tabId, label } = tabFor(panel);
+
+        entries.push({
+            kind: 'case',
+            title: textOf(panel.querySelector('.case-info h3')) || label,
+            context: [sectionTitle(section), label].filter(Boolean).join(' › '),
+            text: [
+                ...panel.querySelectorAll('.case-challenge, .case-solution, .result-item')
+            ].map(textOf).join(' '),
+            section: section.id,
+            tabs,
+            tabId
+        });
+    });
+
+    return entries.filter(entry => entry.title && entry.section);
+}
+
+// Best matches first: title hits count double, the body text is a fallback.
+// Results carry `ranges` for highlighting the title (empty for text-only hits).
+export function searchIndex(entries, query, limit = 8) {
+    return entries
+        .map(entry => {
+            const title = fuzzyMatch(query, entry.title);
+            const text = fuzzyMatch(query, `${entry.context} ${entry.text}`);
+            const titleScore = title ? title.score * TITLE_WEIGHT : -Infinity;
+            const textScore = text ? text.score : -Infinity;
+            if (!title && !text) return null;
+
+            return {
+                entry,
+                score: Math.max(titleScore, textScore),
+                ranges: titleScore >= textScore ? title.ranges : []
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
@@ -0,0 +1,69 @@
+import { AppConfig } from '../core/config.js';
+
+// Validation Rules
+// A rule is `{ validate(value, param, context), params(param) }`. `param` is
+// whatever the schema sets for the rule (`minLength: 2` → 2), `context` holds
+// the field name and the whole form data, and `params` turns the param into
+// the placeholders of the rule's message (`validation.<rule>`). `validate`
+// may return a promise for checks that need the network. Checkbox groups
+// arrive as arrays, everything else as trimmed strings.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d{7,15}$/;
+
+let freeEmailDomains = null;
+
+// Loaded once on first use. If the list can't be loaded the check passes:
+// a lead from a personal address is better than no lead.
+function loadFreeEmailDomains() {
+    if (!freeEmailDomains) {
+        freeEmailDomains = fetch(AppConfig.validation.freeEmailDomains)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(({ domains }) => new Set(domains))
+            .catch(error => {
+                console.warn('Free email domains unavailable:', error);
+                return new Set();
+            });
+    }
+    return freeEmailDomains;
+}
+
+export const VALIDATION_RULES = {
+    required: {
+        validate: value => value.length > 0
+    },
+    minLength: {
+        validate: (value, min) => value.length >= min,
+        params: min => ({ min })
+    },
+    maxLength: {
+        validate: (value, max) => value.length <= max,
+        params: max => ({ max })
+    },
+    pattern: {
+        validate: (value, pattern) => (
+            pattern instanceof RegExp ? pattern : new RegExp(`^(?:${pattern})$`, 'u')
+        ).test(value)
+    },
+    email: {
+        validate: value => EMAIL_PATTERN.test(value)
+    },
+    phone: {
+        validate: value => PHONE_PATTERN.test(value.replace(/[\s().-]/g, ''))
+    },
+    corporateEmail: {
+        validate: async (value) => {
+            const domain = value.split('@').pop().toLowerCase();
+            const domains = await loadFreeEmailDomains();
+            return !domains.has(domain);
+        }
+    }
+};
+
+export function defineRule(name, rule) {
+    VALIDATION_RULES[name] = rule;
+}
@@ -0,0 +1,18 @@
+// Form Schemas
+// Rules per field name for forms that set `data-schema`. Besides rules from
+// src/validation/rules.js a field may set `label` (translation key used in
+// the error summary) and `messages` to replace a rule's message key.
+export const FORM_SCHEMAS = {
+    lead: {
+        name: { label: 'form.name', required: true, minLength: 2, maxLength: 100 },
+        email: { label: 'form.email', required: true, email: true },
+        phone: { label: 'form.phone', phone: true },
+        company: { label: 'form.company', required: true, minLength: 2, maxLength: 200 },
+        'team-size': {
+            label: 'form.teamSize.placeholder',
+            required: true,
+            messages: { required: 'validation.choose' }
+        },
+        message: { label: 'form.message', maxLength: 2000 }
+    }
+};
@@ -0,0 +1,87 @@
+import { VALIDATION_RULES } from './rules.js';
+
+// Form Validator
+// Combines the constraints already in the markup (required, minlength,
+// maxlength, pattern, type="email"/"tel") with the form's schema, which wins
+// where both set a rule. Rules run in order, `required` first, and stop at
+// the first failure; other rules are skipped for empty optional fields.
+const OPTIONS = ['label', 'messages'];
+
+export class FormValidator {
+    constructor(form, schema = {}) {
+        this.form = form;
+        this.schema = schema;
+    }
+
+    fieldsFor(name) {
+        // Checkbox groups come back as a RadioNodeList
+        const item = this.form.elements.namedItem(name);
+        if (!item) return [];
+        return item instanceof Element ? [item] : [...item];
+    }
+
+    rulesFor(name) {
+        const rules = { ...rulesFromMarkup(this.fieldsFor(name)[0]) };
+
+        Object.entries(this.schema[name] || {}).forEach(([rule, param]) => {
+            if (OPTIONS.includes(rule)) return;
+            if (param === false) {
+                delete rules[rule];
+            } else {
+                rules[rule] = param;
+            }
+        });
+
+        const { required, ...rest } = rules;
+        return required ? { required, ...rest } : rest;
+    }
+
+    hasRules(name) {
+        return Object.keys(this.rulesFor(name)).length > 0;
+    }
+
+    labelFor(name) {
+        return this.schema[name]?.label ?? null;
+    }
+
+    // Resolves to null when the value passes, otherwise to
+    // `{ rule, key, params }` for the message
+    async validate(name, data) {
+        const raw = data[name] ?? '';
+        const value = Array.isArray(raw) ? raw : String(raw).trim();
+        const rules = this.rulesFor(name);
+
+        for (const [rule, param] of Object.entries(rules)) {
+            const definition = VALIDATION_RULES[rule];
+            if (!definition) {
+                throw new Error(`Unknown validation rule "${rule}" for "${name}"`);
+            }
+            if (rule !== 'required' && value.length === 0) continue;
+
+            const valid = await definition.validate(value, param, { name, data });
+            if (!valid) {
+                return {
+                    rule,
+                    key: this.schema[name]?.messages?.[rule] ?? `validation.${rule}`,
+                    params: definition.params?.(param) ?? {}
+                };
+            }
+        }
+
+        return null;
+    }
+}
+
+function rulesFromMarkup(field) {
+    const rules = {};
+    if (!field) return rules;
+
+    if (field.required) rules.required = true;
+    if (field.minLength > 0) rules.minLength = field.minLength;
+    if (field.maxLength > 0) rules.maxLength = field.maxLength;
+    if (field.getAttribute('pattern')) rules.pattern = field.getAttribute('pattern');
+    if (field.type === 'email') rules.email = true;
+    if (field.type === 'tel') rules.phone = true;
+
+    return rules;
+}
@@ -0,0 +1,12 @@
+import { defineConfig } from 'vite';
+import { mockLeadsPlugin } from './mock/leads.js';
+import { mockAnalyticsPlugin } from './mock/analytics.js';
+import { mockErrorsPlugin } from './mock/errors.js';
+
+export default defineConfig({
+    plugins: [
+        mockLeadsPlugin(),
+        mockAnalyticsPlugin(),
+        mockErrorsPlugin()
+    ]
+});